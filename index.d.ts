@@ -2,16 +2,38 @@
 // TypeScript users get full type safety
 
 declare module 'knex-bun-sqlite' {
+  import { EventEmitter } from 'events'
+
   /**
    * Result of a run() operation containing metadata about the execution
    */
   export interface RunResult {
-    /** The row ID of the last inserted row */
-    lastID?: number
+    /** The row ID of the last inserted row, 0 included (BigInt above 2^53 with safeIntegers) */
+    lastID: number | bigint
     /** The number of rows affected by the query */
     changes: number
   }
 
+  /**
+   * Error reported by the adapter, shaped like node-sqlite3 errors
+   */
+  export interface SqliteError extends Error {
+    /** Primary result code, e.g. 'SQLITE_CONSTRAINT' */
+    code: string
+    /** Primary result code number, e.g. 19 */
+    errno: number
+    /** Extended result code, e.g. 'SQLITE_CONSTRAINT_UNIQUE' */
+    extendedCode: string
+    /** Extended result code number, e.g. 2067 */
+    extendedErrno: number
+    /** exec() only: zero-based index of the statement that failed */
+    statementIndex?: number
+    /** exec() only: SQL of the statement that failed */
+    statement?: string
+    /** With busyRetry: attempts made before giving up on SQLITE_BUSY */
+    attempts?: number
+  }
+
   /**
    * Callback for run operations
    */
@@ -51,18 +73,362 @@ declare module 'knex-bun-sqlite' {
     OPEN_CREATE = 0x00000004
   }
 
+  /**
+   * Storage format for Date parameters
+   * - 'ms': integer milliseconds since the epoch (sqlite3 behavior)
+   * - 'unix-seconds': integer seconds since the epoch
+   * - 'iso8601': ISO-8601 text, e.g. '2025-06-15T10:30:45.678Z'
+   * - 'julian': fractional Julian day number
+   */
+  export type DateFormat = 'ms' | 'unix-seconds' | 'iso8601' | 'julian'
+
+  /**
+   * When callbacks are delivered:
+   * - 'async': on a later tick, in node-sqlite3's order (default)
+   * - 'sync': before the method returns
+   */
+  export type CallbackMode = 'async' | 'sync'
+
+  /**
+   * Built-in pragma presets
+   */
+  export type PragmaPreset = 'wal-performance' | 'wal-safe'
+
+  /**
+   * How top-level transactions begin: connection.transactionMode, or
+   * knex.transaction(fn, { mode }) for a single transaction
+   * - 'deferred': take locks on first use (Knex's plain BEGIN)
+   * - 'immediate': take the write lock at BEGIN
+   * - 'exclusive': also keep readers out (outside WAL mode)
+   */
+  export type TransactionMode = 'deferred' | 'immediate' | 'exclusive'
+
+  /**
+   * Synchronous statements for the body of a Database.transaction() function.
+   * Errors are thrown, rolling the transaction back unless caught.
+   */
+  export interface TransactionScope {
+    run(sql: string, params?: any | any[]): RunResult
+    get(sql: string, params?: any | any[], options?: QueryOptions): any
+    all(sql: string, params?: any | any[], options?: QueryOptions): any[]
+    /** Run fn in a savepoint that rolls back on its own if fn throws */
+    savepoint<T>(fn: (scope: TransactionScope) => T): T
+  }
+
+  /**
+   * Function returned by Database.transaction(); the variants choose the BEGIN mode
+   */
+  export interface TransactionFunction<A extends any[], T> {
+    (...args: A): T
+    deferred(...args: A): T
+    immediate(...args: A): T
+    exclusive(...args: A): T
+  }
+
+  /**
+   * PRAGMA settings applied to every new connection
+   */
+  export interface PragmaConfig {
+    /** Preset applied first; the other keys override it */
+    preset?: PragmaPreset
+    journal_mode?: 'DELETE' | 'TRUNCATE' | 'PERSIST' | 'MEMORY' | 'WAL' | 'OFF'
+    synchronous?: 'OFF' | 'NORMAL' | 'FULL' | 'EXTRA' | number
+    foreign_keys?: boolean
+    busy_timeout?: number
+    cache_size?: number
+    mmap_size?: number
+    temp_store?: 'DEFAULT' | 'FILE' | 'MEMORY' | number
+    [pragma: string]: string | number | boolean | undefined
+  }
+
+  /**
+   * Knex `connection` settings understood by the bun:sqlite client
+   */
+  export interface BunSqliteConnectionConfig {
+    /** Path to database file, ':memory:', or a serializeToBuffer() snapshot to restore in memory */
+    filename: string | Uint8Array
+    /** Open the database read-only (never creates the file) */
+    readonly?: boolean
+    /** Set to false to fail instead of creating a missing database file */
+    create?: boolean
+    /** Extra sqlite3 open flags, e.g. ['OPEN_READONLY'] */
+    flags?: string[]
+    /** Prepared statements cached per connection (default 100, 0 disables) */
+    statementCacheSize?: number
+    /** PRAGMAs applied to every new connection, or a preset name */
+    pragmas?: PragmaConfig | PragmaPreset
+    /** Return date/datetime/timestamp columns as Date objects (default false) */
+    reviveDates?: boolean
+    /** How Date parameters are stored (default 'ms') */
+    dateFormat?: DateFormat
+    /** Return integers outside Number's safe range as BigInt (default false) */
+    safeIntegers?: boolean
+    /** When callbacks are delivered (default 'async') */
+    callbackMode?: CallbackMode
+    /** Record per-statement timings for client.getStats(), and log slow queries */
+    queryStats?: boolean | QueryStatsOptions
+    /** Creates a span per query and transaction; an OpenTelemetry tracer works as is (default NoopTracer) */
+    tracer?: Tracer
+    /** SQLite extensions loaded, in order, on every new connection */
+    extensions?: Array<string | { path: string; entryPoint?: string }>
+    /** Read-only connections for selects; the pool then holds a single writer for everything else (requires a file) */
+    readers?: number
+    /** Retry SQLITE_BUSY failures outside transactions with exponential backoff (not with callbackMode 'sync') */
+    busyRetry?: boolean | BusyRetryOptions
+    /** Serialize writers to this file across the process instead of failing with SQLITE_BUSY */
+    writeQueue?: boolean | WriteQueueOptions
+    /** BEGIN mode for transactions that do not pass { mode } (default Knex's plain BEGIN) */
+    transactionMode?: TransactionMode
+  }
+
+  /**
+   * Adapter options passed as the third Database constructor argument
+   */
+  export interface DatabaseOptions {
+    /** Prepared statements cached per connection (default 100, 0 disables) */
+    statementCacheSize?: number
+    /** Return date/datetime/timestamp columns as Date objects (default false) */
+    reviveDates?: boolean
+    /** How Date parameters are stored (default 'ms') */
+    dateFormat?: DateFormat
+    /** Return integers outside Number's safe range as BigInt (default false) */
+    safeIntegers?: boolean
+    /** When callbacks are delivered (default 'async') */
+    callbackMode?: CallbackMode
+    /** Retry SQLITE_BUSY failures of run/get/all/exec with callbacks (default off, not with callbackMode 'sync') */
+    busyRetry?: boolean | BusyRetryOptions
+  }
+
+  /**
+   * Options for the busyRetry policy
+   */
+  export interface BusyRetryOptions {
+    /** Attempts including the first (default 5) */
+    maxAttempts?: number
+    /** Milliseconds before the first retry, doubling after each (default 20) */
+    initialDelay?: number
+    /** Upper bound for a single delay in milliseconds (default 1000) */
+    maxDelay?: number
+    /** No retry starts once it would end this many milliseconds after the first attempt (default 5000) */
+    deadline?: number
+    /** Wait a random 50-100% of each delay (default true) */
+    jitter?: boolean
+  }
+
+  /**
+   * Options for connection.writeQueue
+   */
+  export interface WriteQueueOptions {
+    /** Milliseconds a write waits for the queue before failing with SQLITE_BUSY; 0 waits forever (default 5000) */
+    timeout?: number
+  }
+
+  /**
+   * Busy retry and write queue counters, from getRetryStats()
+   */
+  export interface RetryStats {
+    /** Retry attempts */
+    retries: number
+    /** Operations that succeeded after retrying */
+    recovered: number
+    /** Operations that gave up while still busy */
+    exhausted: number
+    /** Writes that waited for the write queue */
+    queued: number
+    /** Total time spent waiting for the write queue */
+    queueWaitMs: number
+  }
+
+  /**
+   * Options for Database.exec()
+   */
+  export interface ExecOptions {
+    /** Run the whole script in a transaction (default false) */
+    transaction?: boolean
+  }
+
+  /**
+   * Per-call options for get/all/iterate, overriding the connection defaults
+   */
+  export interface QueryOptions {
+    /** Return date/datetime/timestamp columns as Date objects */
+    reviveDates?: boolean
+  }
+
+  /**
+   * Prepared statement cache counters for a single connection
+   */
+  export interface StatementCacheStats {
+    /** Statements currently cached */
+    size: number
+    /** Maximum number of cached statements */
+    capacity: number
+    /** Lookups served from the cache */
+    hits: number
+    /** Lookups that had to prepare a new statement */
+    misses: number
+    /** Statements finalized to make room for new ones */
+    evictions: number
+  }
+
+  /**
+   * The parts of an OpenTelemetry span the client uses
+   */
+  export interface Span {
+    setAttribute(key: string, value: unknown): unknown
+    setStatus(status: { code: number; message?: string }): unknown
+    recordException(exception: Error): void
+    end(): void
+  }
+
+  export interface SpanOptions {
+    /** SpanKind.CLIENT (2) */
+    kind?: number
+    attributes?: Record<string, unknown>
+  }
+
+  /**
+   * The parts of an OpenTelemetry tracer the client uses
+   */
+  export interface Tracer {
+    startSpan(name: string, options?: SpanOptions): Span
+    /** Runs fn with span as the parent of spans started inside it */
+    startActiveSpan<T>(name: string, options: SpanOptions, fn: (span: Span) => T): T
+  }
+
+  /**
+   * Default tracer, records nothing
+   */
+  export class NoopTracer implements Tracer {
+    startSpan(name: string, options?: SpanOptions): Span
+    startActiveSpan<T>(name: string, options: SpanOptions, fn: (span: Span) => T): T
+  }
+
+  export interface InMemorySpan extends Span {
+    id: number
+    /** id of the enclosing active span, or null */
+    parentId: number | null
+    name: string
+    kind?: number
+    attributes: Record<string, unknown>
+    /** code 0 unset, 2 error */
+    status: { code: number; message?: string }
+    events: Array<{ name: string; attributes: Record<string, unknown> }>
+    startTime: number
+    endTime: number | null
+    /** Elapsed milliseconds, once ended */
+    duration: number | null
+  }
+
+  /**
+   * Keeps finished spans in memory, for tests
+   */
+  export class InMemoryTracer implements Tracer {
+    /** Finished spans, in the order they ended */
+    spans: InMemorySpan[]
+    startSpan(name: string, options?: SpanOptions): InMemorySpan
+    startActiveSpan<T>(name: string, options: SpanOptions, fn: (span: InMemorySpan) => T): T
+    /** Forget every recorded span */
+    reset(): void
+  }
+
+  /**
+   * A statement that took at least slowQueryThreshold milliseconds
+   */
+  export interface SlowQuery {
+    sql: string
+    /** Bindings after redaction */
+    bindings: unknown[]
+    /** Elapsed milliseconds */
+    duration: number
+    /** Rows returned */
+    rows: number
+  }
+
+  /**
+   * Options for connection.queryStats
+   */
+  export interface QueryStatsOptions {
+    /** Log statements taking at least this many milliseconds (default null, no log) */
+    slowQueryThreshold?: number | null
+    /** Receives slow queries (default logs a warning through the Knex logger) */
+    onSlowQuery?: (query: SlowQuery) => void
+    /** Hide bindings in the slow query log: true replaces each with '[redacted]' */
+    redactBindings?: boolean | ((bindings: unknown[], sql: string) => unknown[])
+  }
+
+  /**
+   * Timings for one SQL text, as returned by client.getStats()
+   */
+  export interface QueryStatsEntry {
+    sql: string
+    /** Executions */
+    count: number
+    totalMs: number
+    avgMs: number
+    /** 95th percentile over the most recent 1000 executions */
+    p95Ms: number
+    maxMs: number
+    /** Rows returned over all executions */
+    rows: number
+  }
+
+  /**
+   * Progress reported after each backup step
+   */
+  export interface BackupProgress {
+    /** Pages in the database being backed up */
+    totalPages: number
+    /** Pages still to be written */
+    remainingPages: number
+  }
+
+  /**
+   * Options for Database.backup()
+   */
+  export interface BackupOptions {
+    /**
+     * 'pages' (default) copies the whole database into memory in one blocking
+     * call, then writes that snapshot to the file in steps; 'vacuum' runs
+     * VACUUM INTO, which blocks until the copy is written but needs no buffer
+     */
+    strategy?: 'pages' | 'vacuum'
+    /** Schema to back up (default 'main') */
+    schema?: string
+    /** Pages written to the file per step with the 'pages' strategy (default 100); the snapshot itself is not taken in steps */
+    pagesPerStep?: number
+    /** Called after every step */
+    progress?: (progress: BackupProgress) => void
+  }
+
+  /**
+   * Outcome of a completed backup
+   */
+  export interface BackupResult {
+    strategy: 'pages' | 'vacuum'
+    /** Pages in the backup file */
+    totalPages: number
+  }
+
   /**
    * Prepared statement for parameterized queries
    */
   export class Statement {
     /**
-     * Bind parameters to the prepared statement
-     * @param params Parameters to bind
+     * The SQL text the statement was prepared from
+     */
+    readonly sql: string
+
+    /**
+     * Bind parameters used by every later execution that is not given its own.
+     * Accepts values (1, 2), an array ([1, 2]), numbered ({ 1: 'a' }) or named
+     * ({ $id: 1 }, { ':id': 1 }, { '@id': 1 }) parameters. Also resets the statement.
+     * @param params Parameters to bind, optionally followed by a callback
      */
     bind(...params: any[]): this
 
     /**
-     * Reset the statement
+     * Rewind get() to the first row, keeping the bound parameters
      * @param callback Optional callback
      */
     reset(callback?: ErrorCallback): this
@@ -83,7 +449,8 @@ declare module 'knex-bun-sqlite' {
     run(...params: any[]): this
 
     /**
-     * Execute the statement and get the first result row
+     * Get the next result row; parameters restart from the first row. Returns
+     * undefined after the last row until reset() or new parameters.
      * @param params Optional parameters
      * @param callback Optional callback
      */
@@ -127,7 +494,7 @@ declare module 'knex-bun-sqlite' {
    * })
    * ```
    */
-  export class Database {
+  export class Database extends EventEmitter {
     /**
      * Open mode: read-only
      */
@@ -143,14 +510,81 @@ declare module 'knex-bun-sqlite' {
      */
     static readonly OPEN_CREATE: number
 
+    /** Primary result codes, matching sqlite3's exported constants */
+    static readonly OK: number
+    static readonly ERROR: number
+    static readonly INTERNAL: number
+    static readonly PERM: number
+    static readonly ABORT: number
+    static readonly BUSY: number
+    static readonly LOCKED: number
+    static readonly NOMEM: number
+    static readonly READONLY: number
+    static readonly INTERRUPT: number
+    static readonly IOERR: number
+    static readonly CORRUPT: number
+    static readonly NOTFOUND: number
+    static readonly FULL: number
+    static readonly CANTOPEN: number
+    static readonly PROTOCOL: number
+    static readonly EMPTY: number
+    static readonly SCHEMA: number
+    static readonly TOOBIG: number
+    static readonly CONSTRAINT: number
+    static readonly MISMATCH: number
+    static readonly MISUSE: number
+    static readonly NOLFS: number
+    static readonly AUTH: number
+    static readonly FORMAT: number
+    static readonly RANGE: number
+    static readonly NOTADB: number
+    static readonly NOTICE: number
+    static readonly WARNING: number
+
+    /**
+     * Path the database was opened with
+     */
+    readonly filename: string
+
+    /**
+     * Open mode flags the database was opened with (null for the default)
+     */
+    readonly mode: number | null
+
+    /**
+     * When callbacks are delivered
+     */
+    readonly callbackMode: CallbackMode
+
     /**
      * Create a new database connection
-     * @param filename Path to database file (or ':memory:' for in-memory)
-     * @param mode Optional open mode flags
+     * @param filename Path to database file, ':memory:', or a snapshot buffer to restore in memory
+     * @param mode Optional open mode flags (defaults to OPEN_READWRITE | OPEN_CREATE)
      * @param callback Optional callback called when opened
      */
-    constructor(filename: string, callback?: ErrorCallback)
-    constructor(filename: string, mode?: number, callback?: ErrorCallback)
+    constructor(filename: string | Uint8Array, callback?: ErrorCallback)
+    constructor(filename: string | Uint8Array, mode?: number | null, callback?: ErrorCallback)
+    constructor(
+      filename: string | Uint8Array,
+      mode?: number | null,
+      options?: DatabaseOptions,
+      callback?: ErrorCallback
+    )
+
+    /**
+     * Read the prepared statement cache counters
+     */
+    getStatementCacheStats(): StatementCacheStats
+
+    /**
+     * Read the busy retry counters
+     */
+    getRetryStats(): RetryStats
+
+    /**
+     * Finalize and drop every cached prepared statement
+     */
+    clearStatementCache(): void
 
     /**
      * Close the database connection
@@ -159,16 +593,62 @@ declare module 'knex-bun-sqlite' {
     close(callback?: ErrorCallback): void
 
     /**
-     * Serialize database operations (calls callback immediately in this implementation)
+     * Set the busy timeout in milliseconds, like node-sqlite3's configure()
+     * @param option Only 'busyTimeout' is supported
+     * @param value Timeout in milliseconds
+     */
+    configure(option: 'busyTimeout', value: number): this
+
+    /**
+     * Load a SQLite extension. Fails with SQLITE_ERROR when the extension cannot
+     * be loaded, including when Bun's SQLite library does not allow extensions.
+     * @param path Path to the shared library (the file extension may be omitted)
+     * @param entryPoint Name of the init function, when it is not the default
+     * @param callback Optional callback
+     */
+    loadExtension(path: string, callback?: ErrorCallback): this
+    loadExtension(path: string, entryPoint?: string, callback?: ErrorCallback): this
+
+    /**
+     * Not supported: bun:sqlite cannot define SQL functions, so this always throws
+     */
+    registerFunction(name: string, fn: (...args: any[]) => any, options?: object): never
+
+    /**
+     * Not supported: bun:sqlite cannot define SQL functions, so this always throws
+     */
+    registerAggregate(name: string, options: object): never
+
+    /**
+     * Not supported: bun:sqlite cannot define collations, so this always throws
+     */
+    registerCollation(name: string, compare: (a: string, b: string) => number): never
+
+    /** Emitted once the database is open, after the constructor callback */
+    on(event: 'open', listener: () => void): this
+    /** Emitted once the database is closed, after the close() callback */
+    on(event: 'close', listener: () => void): this
+    /** Emitted for failed operations that were given no callback */
+    on(event: 'error', listener: (err: SqliteError) => void): this
+    /** Emitted with the SQL text as a statement starts */
+    on(event: 'trace', listener: (sql: string) => void): this
+    /** Emitted with the SQL text and elapsed whole milliseconds once a statement finishes */
+    on(event: 'profile', listener: (sql: string, ms: number) => void): this
+    on(event: string | symbol, listener: (...args: any[]) => void): this
+
+    /**
+     * Run each following operation only after the previous one has completed.
+     * With a callback, only operations issued inside it are serialized.
      * @param callback Function to run serialized
      */
-    serialize(callback?: () => void): void
+    serialize(callback?: () => void): this
 
     /**
-     * Parallelize database operations (calls callback immediately in this implementation)
+     * Let operations start without waiting for earlier ones (the default).
+     * With a callback, only operations issued inside it are parallelized.
      * @param callback Function to run parallelized
      */
-    parallelize(callback?: () => void): void
+    parallelize(callback?: () => void): this
 
     /**
      * Run a query (for INSERT, UPDATE, DELETE)
@@ -187,6 +667,7 @@ declare module 'knex-bun-sqlite' {
      */
     get(sql: string, callback?: GetCallback): any
     get(sql: string, params: any | any[], callback?: GetCallback): any
+    get(sql: string, params: any | any[], options: QueryOptions, callback?: GetCallback): any
 
     /**
      * Run a query and get all result rows
@@ -196,6 +677,7 @@ declare module 'knex-bun-sqlite' {
      */
     all(sql: string, callback?: AllCallback): any[]
     all(sql: string, params: any | any[], callback?: AllCallback): any[]
+    all(sql: string, params: any | any[], options: QueryOptions, callback?: AllCallback): any[]
 
     /**
      * Run a query and iterate over each result row
@@ -217,20 +699,64 @@ declare module 'knex-bun-sqlite' {
     ): void
 
     /**
-     * Execute one or multiple SQL statements (no results returned)
+     * Lazily iterate result rows one at a time without buffering the result set.
+     * Returning the iterator early finalizes the underlying statement.
+     * @param sql SQL query string
+     * @param params Optional parameters
+     * @param options Optional per-call options
+     */
+    iterate(sql: string, params?: any | any[], options?: QueryOptions): IterableIterator<any>
+
+    /**
+     * Execute one or multiple SQL statements (no results returned), one at a
+     * time, stopping at the first error. The error's statementIndex and
+     * statement say which statement failed.
      * @param sql SQL statement(s)
+     * @param options transaction: true runs the script in a transaction (or a
+     * savepoint inside an open one) that rolls back if a statement fails
      * @param callback Optional callback
      */
     exec(sql: string, callback?: ErrorCallback): void
+    exec(sql: string, options: ExecOptions, callback?: ErrorCallback): void
+
+    /**
+     * Wrap synchronous work in bun:sqlite's transaction helper. The returned
+     * function runs fn between BEGIN and COMMIT, rolling back if it throws,
+     * or in a savepoint when a transaction is already open.
+     * @param fn Called with a TransactionScope and the function's arguments
+     */
+    transaction<A extends any[], T>(fn: (scope: TransactionScope, ...args: A) => T): TransactionFunction<A, T>
+
+    /**
+     * Apply resolved [name, value] PRAGMA pairs, throwing if one fails to apply
+     * @param pragmas Pairs such as [['journal_mode', 'WAL']]
+     */
+    applyPragmas(pragmas: Array<[string, string]>): void
+
+    /**
+     * Serialize the database into a buffer that can be restored with new Database(buffer)
+     * @param schema Schema to serialize (default 'main')
+     */
+    serializeToBuffer(schema?: string): Buffer
+
+    /**
+     * Back up the database to a file. With the 'pages' strategy, other queries
+     * run while the file is written, but not while the in-memory snapshot is taken
+     * @param destination Path of the backup file
+     * @param options Strategy, step size and progress callback
+     * @param callback Optional callback, called with the backup result
+     */
+    backup(destination: string, callback?: (err: Error | null, result?: BackupResult) => void): Promise<BackupResult>
+    backup(destination: string, options: BackupOptions, callback?: (err: Error | null, result?: BackupResult) => void): Promise<BackupResult>
 
     /**
      * Prepare a SQL statement for repeated execution
      * @param sql SQL query string
-     * @param params Optional parameters
+     * @param params Optional parameters to bind, as for Statement.bind()
      * @param callback Optional callback
      */
     prepare(sql: string, callback?: ErrorCallback): Statement
-    prepare(sql: string, params: any | any[], callback?: ErrorCallback): Statement
+    prepare(sql: string, ...params: any[]): Statement
   }
 
   export default Database
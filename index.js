@@ -2,6 +2,12 @@
 // This creates a custom Knex client that uses bun:sqlite instead of sqlite3
 
 const { Database: BunDatabase } = require('bun:sqlite')
+const { Readable } = require('stream')
+const { EventEmitter } = require('events')
+const { inspect } = require('util')
+const { AsyncLocalStorage } = require('async_hooks')
+const fs = require('fs')
+const { resolve: resolvePath } = require('path')
 
 // Import Knex's SQLite3 client to extend it
 let Client_SQLite3
@@ -12,48 +18,1079 @@ try {
   console.warn('Could not load Knex SQLite3 client, using standalone adapter')
 }
 
-// Helper function to normalize parameters for bun:sqlite
+// Julian day number of the Unix epoch (1970-01-01T00:00:00Z)
+const JULIAN_DAY_UNIX_EPOCH = 2440587.5
+const MS_PER_DAY = 86400000
+
+// How Date parameters are stored, selected with the `dateFormat` option
+// - ms:           integer milliseconds since the epoch (sqlite3 behavior, default)
+// - unix-seconds: integer seconds since the epoch (strftime('%s') / unixepoch())
+// - iso8601:      ISO-8601 text, e.g. '2025-06-15T10:30:45.678Z'
+// - julian:       fractional Julian day number (julianday())
+const DATE_FORMATS = {
+  ms: {
+    write: (date) => date.valueOf(),
+    read: (number) => number
+  },
+  'unix-seconds': {
+    write: (date) => Math.floor(date.valueOf() / 1000),
+    read: (number) => number * 1000
+  },
+  iso8601: {
+    write: (date) => date.toISOString(),
+    read: (number) => number
+  },
+  julian: {
+    write: (date) => date.valueOf() / MS_PER_DAY + JULIAN_DAY_UNIX_EPOCH,
+    read: (number) => Math.round((number - JULIAN_DAY_UNIX_EPOCH) * MS_PER_DAY)
+  }
+}
+
+const DEFAULT_DATE_FORMAT = 'ms'
+
+function checkDateFormat(dateFormat) {
+  if (dateFormat === undefined || dateFormat === null) {
+    return DEFAULT_DATE_FORMAT
+  }
+  if (!DATE_FORMATS[dateFormat]) {
+    throw new Error(
+      `Unknown dateFormat "${dateFormat}". Expected one of: ${Object.keys(DATE_FORMATS).join(', ')}`
+    )
+  }
+  return dateFormat
+}
+
+// SQLite INTEGER range
+const MAX_INT64 = 2n ** 63n - 1n
+const MIN_INT64 = -(2n ** 63n)
+
 // Converts Date objects and other unsupported types to SQLite-compatible values
-function normalizeParams(params) {
+function normalizeValue(param, dateFormat) {
+  if (param instanceof Date) {
+    // By default convert Date to Unix timestamp (milliseconds) to match sqlite3 behavior
+    // sqlite3 stores dates as integers and returns them as numbers
+    return DATE_FORMATS[dateFormat].write(param)
+  } else if (param === undefined) {
+    // Convert undefined to null for SQLite
+    return null
+  } else if (typeof param === 'bigint') {
+    // bun:sqlite binds BigInt as a 64-bit integer; fail clearly outside that range
+    if (param > MAX_INT64 || param < MIN_INT64) {
+      throw new RangeError(`BigInt parameter ${param} is outside the 64-bit integer range`)
+    }
+    return param
+  } else if (Buffer.isBuffer(param)) {
+    // Convert Buffer to Uint8Array which bun:sqlite accepts
+    return new Uint8Array(param)
+  }
+  return param
+}
+
+// Named parameters are passed as an object such as { $id: 1 }
+function isNamedParams(params) {
+  return params !== null && typeof params === 'object' && !Array.isArray(params) &&
+    !(params instanceof Date) && !ArrayBuffer.isView(params) && !(params instanceof ArrayBuffer)
+}
+
+const PARAMETER_INDEX_PATTERN = /^[1-9]\d*$/
+
+// Helper function to normalize parameters for bun:sqlite
+// Returns the arguments for bun's run/get/all/iterate: positional values, or
+// a single object of named values. Like node-sqlite3, integer keys bind by
+// position ({ 1: 'a' } is ?1) and names keep their $, : or @ prefix.
+function normalizeParams(params, dateFormat = DEFAULT_DATE_FORMAT) {
+  if (isNamedParams(params)) {
+    const keys = Object.keys(params)
+    if (keys.length > 0 && keys.every((key) => PARAMETER_INDEX_PATTERN.test(key))) {
+      const values = []
+      for (const key of keys) {
+        values[Number(key) - 1] = normalizeValue(params[key], dateFormat)
+      }
+      return Array.from(values, (value) => (value === undefined ? null : value))
+    }
+
+    const named = {}
+    for (const key of keys) {
+      named[PARAMETER_INDEX_PATTERN.test(key) ? `?${key}` : key] = normalizeValue(params[key], dateFormat)
+    }
+    return [named]
+  }
+
   if (!Array.isArray(params)) {
     params = params === undefined ? [] : [params]
   }
-  
-  return params.map(param => {
-    if (param instanceof Date) {
-      // Convert Date to Unix timestamp (milliseconds) to match sqlite3 behavior
-      // sqlite3 stores dates as integers and returns them as numbers
-      return param.valueOf()
-    } else if (param === undefined) {
-      // Convert undefined to null for SQLite
-      return null
-    } else if (Buffer.isBuffer(param)) {
-      // Convert Buffer to Uint8Array which bun:sqlite accepts
-      return new Uint8Array(param)
+  return params.map((param) => normalizeValue(param, dateFormat))
+}
+
+// node-sqlite3 takes statement parameters as (1, 2), ([1, 2]) or ({ $id: 1 }),
+// optionally followed by a callback
+function statementArguments(args) {
+  args = Array.from(args)
+  const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined
+  const single = args.length === 1 && (Array.isArray(args[0]) || isNamedParams(args[0]))
+  return [single ? args[0] : args, callback]
+}
+
+function hasParameters(params) {
+  return Array.isArray(params) ? params.length > 0 : Object.keys(params).length > 0
+}
+
+// Positional parameters that are not given stay NULL, as in node-sqlite3,
+// where bun:sqlite would reject the call. Extra ones are an error in both.
+function fitParameters(stmt, values) {
+  if (values.length === 1 && isNamedParams(values[0])) {
+    return values
+  }
+  if (values.length > stmt.paramsCount) {
+    const err = new Error('column index out of range')
+    err.errno = 25
+    throw normalizeError(err)
+  }
+  while (values.length < stmt.paramsCount) {
+    values.push(null)
+  }
+  return values
+}
+
+// Declared column types that hold dates (Knex uses datetime, timestamp and date)
+const DATE_TYPE_PATTERN = /^\s*(date|datetime|timestamp)\b/i
+
+// Helper function to find the result columns declared as dates
+// Must be called after the statement has executed (bun requirement)
+function dateColumns(stmt) {
+  const types = stmt.declaredTypes
+  const names = stmt.columnNames
+  const columns = []
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] && DATE_TYPE_PATTERN.test(types[i])) {
+      columns.push(names[i])
     }
-    return param
+  }
+  return columns
+}
+
+// Helper function to turn a stored date value back into a Date
+// Numbers are read according to the dateFormat normalizeParams writes; strings are
+// ISO-8601 or SQLite's 'YYYY-MM-DD HH:MM:SS' UTC text (e.g. CURRENT_TIMESTAMP).
+// Values that do not parse are returned unchanged.
+function reviveDate(value, dateFormat = DEFAULT_DATE_FORMAT) {
+  if (typeof value === 'number') {
+    return new Date(DATE_FORMATS[dateFormat].read(value))
+  }
+  if (typeof value === 'string') {
+    let text = value
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(text)) {
+      text = text.replace(' ', 'T')
+      if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) text += 'Z'
+    }
+    const date = new Date(text)
+    return isNaN(date.getTime()) ? value : date
+  }
+  return value
+}
+
+// Helper function to convert the date columns of a result row in place
+function reviveRow(row, columns, dateFormat) {
+  for (const column of columns) {
+    if (row[column] !== null && row[column] !== undefined) {
+      row[column] = reviveDate(row[column], dateFormat)
+    }
+  }
+  return row
+}
+
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER)
+const MIN_SAFE_BIGINT = BigInt(Number.MIN_SAFE_INTEGER)
+
+// Helper function to turn a BigInt into a number when no precision is lost
+function narrowInteger(value) {
+  if (typeof value === 'bigint' && value <= MAX_SAFE_BIGINT && value >= MIN_SAFE_BIGINT) {
+    return Number(value)
+  }
+  return value
+}
+
+// Helper function to narrow the BigInt values of a safeIntegers row in place
+// Only integers outside Number's safe range stay BigInt, so counts, booleans
+// and Knex's own PRAGMA checks keep working with plain numbers
+function narrowRow(row) {
+  for (const key in row) {
+    if (typeof row[key] === 'bigint') {
+      row[key] = narrowInteger(row[key])
+    }
+  }
+  return row
+}
+
+// SQLite primary result codes, indexed by the low byte of the (extended) errno
+const RESULT_CODES = {
+  1: 'SQLITE_ERROR',
+  2: 'SQLITE_INTERNAL',
+  3: 'SQLITE_PERM',
+  4: 'SQLITE_ABORT',
+  5: 'SQLITE_BUSY',
+  6: 'SQLITE_LOCKED',
+  7: 'SQLITE_NOMEM',
+  8: 'SQLITE_READONLY',
+  9: 'SQLITE_INTERRUPT',
+  10: 'SQLITE_IOERR',
+  11: 'SQLITE_CORRUPT',
+  12: 'SQLITE_NOTFOUND',
+  13: 'SQLITE_FULL',
+  14: 'SQLITE_CANTOPEN',
+  15: 'SQLITE_PROTOCOL',
+  16: 'SQLITE_EMPTY',
+  17: 'SQLITE_SCHEMA',
+  18: 'SQLITE_TOOBIG',
+  19: 'SQLITE_CONSTRAINT',
+  20: 'SQLITE_MISMATCH',
+  21: 'SQLITE_MISUSE',
+  22: 'SQLITE_NOLFS',
+  23: 'SQLITE_AUTH',
+  24: 'SQLITE_FORMAT',
+  25: 'SQLITE_RANGE',
+  26: 'SQLITE_NOTADB',
+  27: 'SQLITE_NOTICE',
+  28: 'SQLITE_WARNING'
+}
+
+// Helper function to make bun:sqlite errors look like node-sqlite3 errors
+// bun reports extended codes (SQLITE_CONSTRAINT_UNIQUE / 2067); sqlite3 reports
+// the primary code (SQLITE_CONSTRAINT / 19) and prefixes the message with it.
+// The extended code is kept as extendedCode / extendedErrno.
+// bun's code/errno properties are read-only, so a new Error is returned.
+function normalizeError(err) {
+  if (!err || typeof err.errno !== 'number' || err.extendedCode !== undefined) {
+    return err
+  }
+
+  const primaryErrno = err.errno & 0xff
+  const primaryCode = RESULT_CODES[primaryErrno]
+  if (!primaryCode) {
+    return err
+  }
+
+  const error = new Error(`${primaryCode}: ${err.message}`)
+  error.errno = primaryErrno
+  error.code = primaryCode
+  error.extendedErrno = err.errno
+  error.extendedCode = typeof err.code === 'string' ? err.code : primaryCode
+  error.cause = err
+  return error
+}
+
+// Call fn, rethrowing bun:sqlite errors as node-sqlite3 ones
+function normalized(fn) {
+  try {
+    return fn()
+  } catch (err) {
+    throw normalizeError(err)
+  }
+}
+
+// SQLite builds compiled without extension loading (such as the system
+// library Bun uses on macOS) fail with one of these messages
+const EXTENSIONS_UNAVAILABLE_PATTERN = /not authorized|does not support dynamic extension loading/i
+
+// bun:sqlite's loadExtension() errors carry no SQLite code; report them like
+// node-sqlite3 does, naming the extension
+function extensionError(path, err) {
+  const reason = !err || EXTENSIONS_UNAVAILABLE_PATTERN.test(err.message)
+    ? 'the SQLite library used by this Bun build cannot load extensions. On macOS, ' +
+      "call require('bun:sqlite').Database.setCustomSQLite() with the path of a SQLite " +
+      'library that can (e.g. from Homebrew) before opening any database'
+    : err.message
+  const error = new Error(`SQLITE_ERROR: Failed to load extension "${path}": ${reason}`)
+  error.errno = error.extendedErrno = 1
+  error.code = error.extendedCode = 'SQLITE_ERROR'
+  if (err) error.cause = err
+  return error
+}
+
+// Helper function to translate sqlite3 open-mode flags into bun:sqlite options
+// sqlite3 defaults to OPEN_READWRITE | OPEN_CREATE when no mode is given
+function openOptions(mode) {
+  if (mode === null || mode === undefined) {
+    return { readwrite: true, create: true }
+  }
+
+  if (mode & Database.OPEN_READONLY) {
+    // Read-only never creates the file, so a missing database fails to open
+    return { readonly: true }
+  }
+
+  return {
+    readwrite: true,
+    create: Boolean(mode & Database.OPEN_CREATE)
+  }
+}
+
+// Helper function to detect statements that change the schema
+// Cached statements are dropped when one of these runs
+const SCHEMA_CHANGE_PATTERN = /^\s*(CREATE|DROP|ALTER|ATTACH|DETACH|REINDEX|VACUUM)\b/i
+const SCHEMA_CHANGE_ANYWHERE_PATTERN = /\b(CREATE|DROP|ALTER|ATTACH|DETACH|REINDEX|VACUUM)\b/i
+
+function isSchemaChange(sql, multiStatement) {
+  return (multiStatement ? SCHEMA_CHANGE_ANYWHERE_PATTERN : SCHEMA_CHANGE_PATTERN).test(sql)
+}
+
+// Helper function to detect raw SQL that can run on a read-only connection
+// Anything that might write (including CTEs wrapping a write) goes to the writer
+const READ_QUERY_PATTERN = /^\s*(SELECT|VALUES)\b/i
+const CTE_PATTERN = /^\s*WITH\b/i
+const WRITE_KEYWORD_PATTERN = /\b(INSERT|UPDATE|DELETE|REPLACE)\b/i
+
+function isReadQuery(sql) {
+  if (READ_QUERY_PATTERN.test(sql)) return true
+  return CTE_PATTERN.test(sql) && !WRITE_KEYWORD_PATTERN.test(sql)
+}
+
+// Reads that depend on the connection they run on: the last insert rowid and
+// change counts are the writer's, and TEMP tables exist only on the writer
+const CONNECTION_STATE_PATTERN = /\b(last_insert_rowid|changes|total_changes)\s*\(|(^|[^\w$])["`[]?temp["`\]]?\s*\.|\bsqlite_temp_(master|schema)\b/i
+
+function usesConnectionState(sql) {
+  return CONNECTION_STATE_PATTERN.test(sql)
+}
+
+// Split an exec() script at the semicolons outside strings, quoted
+// identifiers and comments. Chunks keep their semicolon; `empty` marks chunks
+// holding only whitespace and comments. Semicolons inside trigger bodies
+// still split, so exec() joins chunks again until SQLite accepts them.
+function splitStatements(sql) {
+  const chunks = []
+  let start = 0
+  let empty = true
+  let i = 0
+
+  while (i < sql.length) {
+    const c = sql[i]
+    if (c === "'" || c === '"' || c === '`' || c === '[') {
+      // Quotes are escaped by doubling them, which the scan below steps over
+      const close = c === '[' ? ']' : c
+      let end = sql.indexOf(close, i + 1)
+      while (end !== -1 && close !== ']' && sql[end + 1] === close) {
+        end = sql.indexOf(close, end + 2)
+      }
+      i = end === -1 ? sql.length : end + 1
+      empty = false
+    } else if (c === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i)
+      i = end === -1 ? sql.length : end + 1
+    } else if (c === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2)
+      i = end === -1 ? sql.length : end + 2
+    } else if (c === ';') {
+      chunks.push({ sql: sql.slice(start, i + 1), empty })
+      start = i + 1
+      empty = true
+      i++
+    } else {
+      if (!/\s/.test(c)) empty = false
+      i++
+    }
+  }
+
+  if (start < sql.length) {
+    chunks.push({ sql: sql.slice(start), empty })
+  }
+  return chunks
+}
+
+const INCOMPLETE_INPUT_PATTERN = /incomplete input/
+
+// A chunk of an exec() script without surrounding whitespace and semicolon
+function statementText(chunk) {
+  return chunk.trim().replace(/;$/, '')
+}
+
+// Add which statement of an exec() script failed to its error
+function scriptError(err, index, chunk) {
+  const error = normalizeError(err)
+  const statement = statementText(chunk)
+  const text = statement.replace(/\s+/g, ' ')
+  const snippet = text.length > 80 ? `${text.slice(0, 80)}...` : text
+  error.message = `${error.message} (statement ${index + 1}: ${snippet})`
+  error.statementIndex = index
+  error.statement = statement
+  return error
+}
+
+const DEFAULT_STATEMENT_CACHE_SIZE = 100
+
+// Pragmas accepted in connection.pragmas
+// Anything else is rejected up front to catch typos like `journalmode`
+const KNOWN_PRAGMAS = new Set([
+  'analysis_limit',
+  'application_id',
+  'auto_vacuum',
+  'automatic_index',
+  'busy_timeout',
+  'cache_size',
+  'case_sensitive_like',
+  'cell_size_check',
+  'checkpoint_fullfsync',
+  'defer_foreign_keys',
+  'foreign_keys',
+  'fullfsync',
+  'hard_heap_limit',
+  'ignore_check_constraints',
+  'journal_mode',
+  'journal_size_limit',
+  'legacy_alter_table',
+  'locking_mode',
+  'max_page_count',
+  'mmap_size',
+  'page_size',
+  'query_only',
+  'read_uncommitted',
+  'recursive_triggers',
+  'reverse_unordered_selects',
+  'secure_delete',
+  'soft_heap_limit',
+  'synchronous',
+  'temp_store',
+  'threads',
+  'trusted_schema',
+  'user_version',
+  'wal_autocheckpoint'
+])
+
+// Pragmas stored in the database file rather than the connection. Reader
+// connections are read-only and leave these to the writer.
+const PERSISTENT_PRAGMAS = new Set([
+  'application_id',
+  'auto_vacuum',
+  'journal_mode',
+  'page_size',
+  'user_version'
+])
+
+// Opt-in pragma bundles, selected with connection.pragmas.preset
+const PRAGMA_PRESETS = {
+  // Concurrent readers with a single writer, trading a little durability
+  // on power loss for much faster commits
+  'wal-performance': {
+    journal_mode: 'WAL',
+    synchronous: 'NORMAL',
+    busy_timeout: 5000,
+    temp_store: 'MEMORY',
+    cache_size: -64000,
+    mmap_size: 268435456
+  },
+  // WAL with full durability and enforced foreign keys
+  'wal-safe': {
+    journal_mode: 'WAL',
+    synchronous: 'FULL',
+    busy_timeout: 5000,
+    foreign_keys: true
+  }
+}
+
+// Helper function to expand connection.pragmas into an ordered list of
+// [name, value] pairs. Accepts a preset name or an object whose optional
+// `preset` key is applied first and overridden by the remaining keys.
+function resolvePragmas(config) {
+  if (config === undefined || config === null) {
+    return []
+  }
+  if (typeof config === 'string') {
+    config = { preset: config }
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('pragmas must be an object or a preset name')
+  }
+
+  const { preset, ...overrides } = config
+  let pragmas = {}
+  if (preset !== undefined) {
+    if (!PRAGMA_PRESETS[preset]) {
+      throw new Error(
+        `Unknown pragma preset "${preset}". Available presets: ${Object.keys(PRAGMA_PRESETS).join(', ')}`
+      )
+    }
+    pragmas = { ...PRAGMA_PRESETS[preset] }
+  }
+  Object.assign(pragmas, overrides)
+
+  return Object.entries(pragmas).map(([name, value]) => {
+    if (!KNOWN_PRAGMAS.has(name)) {
+      throw new Error(`Unknown pragma "${name}"`)
+    }
+    return [name, pragmaValue(name, value)]
   })
 }
 
-class Database {
-  constructor(filename, mode, callback) {
-    // Handle different constructor signatures
+// Pragma values cannot be bound as parameters, so only allow safe literals
+function pragmaValue(name, value) {
+  if (typeof value === 'boolean') {
+    return value ? 'ON' : 'OFF'
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return String(value)
+  }
+  if (typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value)) {
+    return value
+  }
+  throw new Error(`Invalid value for pragma "${name}": ${JSON.stringify(value)}`)
+}
+
+// Images of WAL-mode databases cannot be opened in memory. Header bytes 18 and
+// 19 hold the file format versions (2 = WAL), so a copy is switched back to the
+// rollback journal (1) and the caller's buffer is left untouched.
+function inMemoryImage(data) {
+  if (data.length >= 20 && (data[18] === 2 || data[19] === 2)) {
+    const copy = new Uint8Array(data)
+    copy[18] = 1
+    copy[19] = 1
+    return copy
+  }
+  return data
+}
+
+const BACKUP_STRATEGIES = ['pages', 'vacuum']
+const DEFAULT_BACKUP_PAGES_PER_STEP = 100
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`
+}
+
+// Numbers each temporary file, so concurrent backups to one destination
+// never write to the same one
+let backupSequence = 0
+
+// Write a serialized database image to destination a few pages per step.
+// Each write yields to the event loop so other queries keep running, and the
+// image goes to a temporary file first so a failed backup never leaves a
+// truncated copy behind.
+async function writeBackupImage(image, destination, pageSize, pagesPerStep, progress) {
+  const totalPages = image.length / pageSize
+  const tempPath = `${destination}.backup-${process.pid}-${++backupSequence}`
+  const handle = await fs.promises.open(tempPath, 'w')
+  try {
+    let written = 0
+    while (written < totalPages) {
+      const pages = Math.min(pagesPerStep, totalPages - written)
+      const offset = written * pageSize
+      await handle.write(image, offset, pages * pageSize, offset)
+      written += pages
+      if (progress) progress({ totalPages, remainingPages: totalPages - written })
+    }
+    await handle.sync()
+  } catch (err) {
+    await handle.close()
+    await fs.promises.rm(tempPath, { force: true })
+    throw err
+  }
+  await handle.close()
+  await fs.promises.rename(tempPath, destination)
+  return totalPages
+}
+
+// LRU cache of bun:sqlite prepared statements keyed by SQL text
+// Relies on Map preserving insertion order: the first key is the least recently used
+class StatementCache {
+  constructor(capacity) {
+    this.capacity = capacity === undefined ? DEFAULT_STATEMENT_CACHE_SIZE : capacity
+    this.statements = new Map()
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+  }
+
+  get(sql, prepare) {
+    const cached = this.statements.get(sql)
+    if (cached) {
+      // Move to the most recently used position
+      this.statements.delete(sql)
+      this.statements.set(sql, cached)
+      this.hits++
+      return cached
+    }
+
+    this.misses++
+    const stmt = prepare(sql)
+    this.statements.set(sql, stmt)
+
+    if (this.statements.size > this.capacity) {
+      const [oldestSql, oldest] = this.statements.entries().next().value
+      this.statements.delete(oldestSql)
+      oldest.finalize()
+      this.evictions++
+    }
+    return stmt
+  }
+
+  clear() {
+    for (const stmt of this.statements.values()) {
+      stmt.finalize()
+    }
+    this.statements.clear()
+  }
+
+  stats() {
+    return {
+      size: this.statements.size,
+      capacity: this.capacity,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    }
+  }
+}
+
+// Durations kept per statement for the p95, as a ring of the most recent runs
+const STATS_SAMPLE_SIZE = 1000
+
+function percentile(samples, fraction) {
+  if (samples.length === 0) return 0
+  const sorted = [...samples].sort((a, b) => a - b)
+  return sorted[Math.ceil(fraction * sorted.length) - 1]
+}
+
+// Per-SQL execution counts, durations and rows returned, shared by every
+// connection of a client, plus an optional slow query log. Durations are in
+// milliseconds.
+class QueryStats {
+  constructor(options = {}) {
+    this.slowQueryThreshold = options.slowQueryThreshold !== undefined ? options.slowQueryThreshold : null
+    this.onSlowQuery = options.onSlowQuery || null
+    this.redactBindings = options.redactBindings || false
+    this.entries = new Map()
+  }
+
+  record(sql, bindings, duration, rows) {
+    let entry = this.entries.get(sql)
+    if (!entry) {
+      entry = { count: 0, totalMs: 0, maxMs: 0, rows: 0, samples: [] }
+      this.entries.set(sql, entry)
+    }
+    entry.samples[entry.count % STATS_SAMPLE_SIZE] = duration
+    entry.count++
+    entry.totalMs += duration
+    entry.maxMs = Math.max(entry.maxMs, duration)
+    entry.rows += rows
+
+    if (this.slowQueryThreshold !== null && duration >= this.slowQueryThreshold && this.onSlowQuery) {
+      this.onSlowQuery({ sql, bindings: this._redact(sql, bindings), duration, rows })
+    }
+  }
+
+  // redactBindings: true hides every value, a function rewrites them
+  _redact(sql, bindings) {
+    if (!Array.isArray(bindings)) {
+      bindings = bindings === undefined || bindings === null ? [] : [bindings]
+    }
+    if (typeof this.redactBindings === 'function') {
+      return this.redactBindings(bindings, sql)
+    }
+    return this.redactBindings ? bindings.map(() => '[redacted]') : bindings
+  }
+
+  // Most expensive statements (by total time) first
+  snapshot() {
+    return Array.from(this.entries, ([sql, entry]) => ({
+      sql,
+      count: entry.count,
+      totalMs: entry.totalMs,
+      avgMs: entry.totalMs / entry.count,
+      p95Ms: percentile(entry.samples, 0.95),
+      maxMs: entry.maxMs,
+      rows: entry.rows
+    })).sort((a, b) => b.totalMs - a.totalMs)
+  }
+
+  reset() {
+    this.entries.clear()
+  }
+}
+
+// Tracers follow the OpenTelemetry Tracer API: startSpan(name, options)
+// returns a span with setAttribute(), setStatus(), recordException() and
+// end(), and startActiveSpan(name, options, fn) runs fn with the span as the
+// parent of spans started inside it. An OpenTelemetry tracer can be passed
+// as is.
+
+// SpanKind.CLIENT and SpanStatusCode.ERROR in @opentelemetry/api
+const SPAN_KIND_CLIENT = 2
+const SPAN_STATUS_ERROR = 2
+
+const NOOP_SPAN = {
+  setAttribute() { return this },
+  setAttributes() { return this },
+  setStatus() { return this },
+  recordException() {},
+  end() {},
+  isRecording() { return false }
+}
+
+// Default tracer, records nothing
+class NoopTracer {
+  startSpan() {
+    return NOOP_SPAN
+  }
+
+  startActiveSpan(name, options, fn) {
+    return (typeof options === 'function' ? options : fn)(NOOP_SPAN)
+  }
+}
+
+class InMemorySpan {
+  constructor(tracer, name, options, parent) {
+    this.tracer = tracer
+    this.id = tracer._nextId++
+    this.parentId = parent ? parent.id : null
+    this.name = name
+    this.kind = options.kind
+    this.attributes = { ...options.attributes }
+    this.status = { code: 0 }
+    this.events = []
+    this.startTime = performance.now()
+    this.endTime = null
+    this.duration = null
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value
+    return this
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes)
+    return this
+  }
+
+  setStatus(status) {
+    this.status = status
+    return this
+  }
+
+  recordException(err) {
+    this.events.push({
+      name: 'exception',
+      attributes: { 'exception.type': err.code || err.name, 'exception.message': err.message }
+    })
+  }
+
+  end() {
+    if (this.endTime !== null) return
+    this.endTime = performance.now()
+    this.duration = this.endTime - this.startTime
+    this.tracer.spans.push(this)
+  }
+
+  isRecording() {
+    return this.endTime === null
+  }
+}
+
+// Keeps finished spans in `spans`, in the order they ended. Meant for tests.
+class InMemoryTracer {
+  constructor() {
+    this.spans = []
+    this._nextId = 1
+    this._active = new AsyncLocalStorage()
+  }
+
+  startSpan(name, options = {}) {
+    return new InMemorySpan(this, name, options, this._active.getStore())
+  }
+
+  startActiveSpan(name, options, fn) {
+    if (typeof options === 'function') {
+      fn = options
+      options = {}
+    }
+    const span = this.startSpan(name, options)
+    return this._active.run(span, () => fn(span))
+  }
+
+  reset() {
+    this.spans = []
+  }
+}
+
+const NOOP_TRACER = new NoopTracer()
+
+// Span name and db.operation: the statement's leading keyword
+function sqlOperation(sql) {
+  const match = /^\s*([a-z]+)/i.exec(sql)
+  return match ? match[1].toUpperCase() : 'SQL'
+}
+
+function endSpan(span, err) {
+  if (err) {
+    span.recordException(err)
+    span.setStatus({ code: SPAN_STATUS_ERROR, message: err.message })
+  }
+  span.end()
+}
+
+// SQLITE_BUSY retry policy, from the busyRetry option. Delays double from
+// initialDelay up to maxDelay, with jitter so competing writers spread out,
+// and no retry starts once it would end past the deadline.
+const BUSY_RETRY_DEFAULTS = {
+  maxAttempts: 5,
+  initialDelay: 20,
+  maxDelay: 1000,
+  deadline: 5000,
+  jitter: true
+}
+
+class BusyRetryPolicy {
+  constructor(options = {}) {
+    const settings = { ...BUSY_RETRY_DEFAULTS, ...options }
+    if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+      throw new Error('busyRetry.maxAttempts must be a positive integer')
+    }
+    for (const name of ['initialDelay', 'maxDelay', 'deadline']) {
+      if (typeof settings[name] !== 'number' || !(settings[name] >= 0)) {
+        throw new Error(`busyRetry.${name} must be a non-negative number of milliseconds`)
+      }
+    }
+    this.maxAttempts = settings.maxAttempts
+    this.initialDelay = settings.initialDelay
+    this.maxDelay = settings.maxDelay
+    this.deadline = settings.deadline
+    this.jitter = Boolean(settings.jitter)
+  }
+
+  // Milliseconds to wait after `attempts` busy attempts that took `elapsed`
+  // milliseconds so far, or null to give up
+  delay(attempts, elapsed) {
+    if (attempts >= this.maxAttempts) return null
+    const backoff = Math.min(this.maxDelay, this.initialDelay * 2 ** (attempts - 1))
+    const delay = this.jitter ? backoff / 2 + Math.random() * (backoff / 2) : backoff
+    return elapsed + delay > this.deadline ? null : delay
+  }
+}
+
+function busyRetryPolicy(config) {
+  if (config === undefined || config === null || config === false) return null
+  if (config instanceof BusyRetryPolicy) return config
+  if (config === true) return new BusyRetryPolicy()
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('busyRetry must be true or an options object')
+  }
+  return new BusyRetryPolicy(config)
+}
+
+// Retries wait on timers, but 'sync' callbacks are due before the call returns
+function checkBusyRetryCallbackMode(busyRetry, callbackMode) {
+  if (busyRetry && callbackMode === 'sync') {
+    throw new Error("busyRetry cannot be combined with callbackMode 'sync', whose callbacks cannot wait for a retry")
+  }
+}
+
+// Busy retry and write queue counters, shared by the connections of a Knex
+// client
+class RetryStats {
+  constructor() {
+    this.reset()
+  }
+
+  snapshot() {
+    return {
+      retries: this.retries,
+      recovered: this.recovered,
+      exhausted: this.exhausted,
+      queued: this.queued,
+      queueWaitMs: this.queueWaitMs
+    }
+  }
+
+  reset() {
+    // Retry attempts, operations that succeeded after retrying and
+    // operations that gave up while still busy
+    this.retries = 0
+    this.recovered = 0
+    this.exhausted = 0
+    // Writes that waited for the write queue, and for how long in total
+    this.queued = 0
+    this.queueWaitMs = 0
+  }
+}
+
+// In-process write lock per database file, from connection.writeQueue. A
+// connection takes it for its first write and keeps it until it is no longer
+// in a transaction, so writers from every Knex client in the process take
+// turns instead of failing with SQLITE_BUSY.
+const DEFAULT_WRITE_QUEUE_TIMEOUT = 5000
+const WRITE_QUEUES = new Map()
+
+class WriteQueue {
+  constructor() {
+    this.owner = null
+    this.waiting = []
+  }
+
+  // Resolves with true when owner had to wait for another connection
+  acquire(owner, timeout) {
+    if (!this.owner) {
+      this.owner = owner
+      return Promise.resolve(false)
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { owner, resolve, timer: null }
+      if (timeout > 0) {
+        entry.timer = setTimeout(() => {
+          this.waiting.splice(this.waiting.indexOf(entry), 1)
+          reject(writeQueueTimeout(timeout))
+        }, timeout)
+      }
+      this.waiting.push(entry)
+    })
+  }
+
+  release(owner) {
+    if (this.owner !== owner) return
+    const next = this.waiting.shift()
+    this.owner = next ? next.owner : null
+    if (next) {
+      clearTimeout(next.timer)
+      next.resolve(true)
+    }
+  }
+}
+
+function writeQueueFor(filename) {
+  const key = resolvePath(filename)
+  let queue = WRITE_QUEUES.get(key)
+  if (!queue) {
+    queue = new WriteQueue()
+    WRITE_QUEUES.set(key, queue)
+  }
+  return queue
+}
+
+// Reported like the SQLITE_BUSY error the queue stands in for
+function writeQueueTimeout(timeout) {
+  const error = new Error(`SQLITE_BUSY: database is locked (waited ${timeout}ms for the write queue)`)
+  error.errno = error.extendedErrno = 5
+  error.code = error.extendedCode = 'SQLITE_BUSY'
+  return error
+}
+
+// BEGIN variants, named like bun:sqlite's transaction helper variants
+const TRANSACTION_MODES = ['deferred', 'immediate', 'exclusive']
+
+// null keeps the plain (deferred) BEGIN
+function checkTransactionMode(mode) {
+  if (mode === undefined || mode === null) return null
+  if (!TRANSACTION_MODES.includes(mode)) {
+    throw new Error(`Unknown transaction mode "${mode}". Expected one of: ${TRANSACTION_MODES.join(', ')}`)
+  }
+  return mode
+}
+
+// 'async' delivers callbacks on a later tick through the operation queue, like
+// node-sqlite3; 'sync' calls them before the method returns, skipping the queue
+const CALLBACK_MODES = ['async', 'sync']
+const DEFAULT_CALLBACK_MODE = 'async'
+
+function checkCallbackMode(callbackMode) {
+  if (callbackMode === undefined || callbackMode === null) {
+    return DEFAULT_CALLBACK_MODE
+  }
+  if (!CALLBACK_MODES.includes(callbackMode)) {
+    throw new Error(
+      `Unknown callbackMode "${callbackMode}". Expected one of: ${CALLBACK_MODES.join(', ')}`
+    )
+  }
+  return callbackMode
+}
+
+// Rows returned by get() and all(), for query stats
+const countRow = (row) => (row ? 1 : 0)
+const countRows = (rows) => rows.length
+
+// Deliver the rows of an each() iterator to its callbacks, reading one row
+// at a time, then report the row count
+function deliverRows(context, err, rows, rowCallback, completeCallback) {
+  let count = 0
+  try {
+    if (err) throw err
+    for (const row of rows) {
+      if (rowCallback) {
+        rowCallback.call(context, null, row)
+      }
+      count++
+    }
+  } catch (error) {
+    err = normalizeError(error)
+    if (rowCallback) {
+      rowCallback.call(context, err)
+    }
+    if (completeCallback) {
+      completeCallback.call(context, err)
+    }
+    return
+  }
+  if (completeCallback) {
+    completeCallback.call(context, null, count)
+  }
+}
+
+// Emits node-sqlite3's events: 'open', 'close', 'error', 'trace' and 'profile'
+class Database extends EventEmitter {
+  constructor(filename, mode, options, callback) {
+    super()
+    // Handle different constructor signatures:
+    // (filename, callback), (filename, mode, callback), (filename, mode, options, callback)
     if (typeof mode === 'function') {
       callback = mode
       mode = null
+    } else if (typeof options === 'function') {
+      callback = options
+      options = undefined
     }
+    options = options || {}
     
     try {
-      this.db = new BunDatabase(filename)
-      this.filename = filename
-      
-      // Call callback asynchronously to match sqlite3 behavior
-      if (callback) {
-        process.nextTick(() => {
-          callback.call(this, null)
+      // How Date parameters are written and numeric dates are read back
+      this.dateFormat = checkDateFormat(options.dateFormat)
+      // When callbacks are delivered (the constructor callback is always asynchronous)
+      this.callbackMode = checkCallbackMode(options.callbackMode)
+      // Retry SQLITE_BUSY failures with backoff (off by default, like sqlite3)
+      this.busyRetry = busyRetryPolicy(options.busyRetry)
+      checkBusyRetryCallbackMode(this.busyRetry, this.callbackMode)
+      if (filename instanceof Uint8Array) {
+        // Restore a serializeToBuffer() snapshot into a private in-memory database
+        this.db = BunDatabase.deserialize(inMemoryImage(filename), {
+          readonly: Boolean(openOptions(mode).readonly),
+          safeIntegers: Boolean(options.safeIntegers)
+        })
+        this.filename = ':memory:'
+      } else {
+        this.db = new BunDatabase(filename, {
+          ...openOptions(mode),
+          safeIntegers: Boolean(options.safeIntegers)
         })
+        this.filename = filename
       }
+      this.mode = mode
+      this.statementCache = new StatementCache(options.statementCacheSize)
+      // Convert date-typed columns back to Date objects (off by default to match sqlite3)
+      this.reviveDates = Boolean(options.reviveDates)
+      // Read 64-bit integers without precision loss (BigInt outside the safe range)
+      this.safeIntegers = Boolean(options.safeIntegers)
+      // QueryStats collector shared with the other connections of a Knex client
+      this.queryStats = options.queryStats || null
+      // Busy retry counters, likewise shared
+      this.retryStats = options.retryStats || (this.busyRetry ? new RetryStats() : null)
+      // Operation queue state, see _schedule(). sqlite3 starts in parallel mode.
+      this._serialized = false
+      this._pending = 0
+      this._locked = false
+      this._queue = []
+      
+      // Call callback asynchronously to match sqlite3 behavior, then emit 'open'
+      process.nextTick(() => {
+        if (callback) callback.call(this, null)
+        this.emit('open')
+      })
     } catch (err) {
+      err = normalizeError(err)
       if (callback) {
         process.nextTick(() => {
           callback.call(this, err)
@@ -65,298 +1102,835 @@ class Database {
   }
 
   close(callback) {
-    try {
+    this._schedule(() => {
+      this.statementCache.clear()
       this.db.close()
-      if (callback) callback(null)
-    } catch (err) {
-      if (callback) callback(err)
+    }, (err) => {
+      if (callback) {
+        callback.call(this, err)
+      } else if (err) {
+        this._unhandledError(err, false)
+      }
+      if (!err) this.emit('close')
+    }, true)
+  }
+
+  // node-sqlite3's configure(). Only 'busyTimeout' has a bun:sqlite equivalent.
+  configure(option, value) {
+    if (option !== 'busyTimeout') {
+      throw new Error(`Unsupported configure option "${option}". Supported options: busyTimeout`)
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`busyTimeout must be a non-negative integer, got ${value}`)
+    }
+    this._schedule(() => {
+      this.db.run(`PRAGMA busy_timeout = ${value}`)
+    })
+    return this
+  }
+
+  // node-sqlite3's loadExtension(), plus an optional entry point name for
+  // extensions whose init function does not follow SQLite's naming rule
+  loadExtension(path, entryPoint, callback) {
+    if (typeof entryPoint === 'function') {
+      callback = entryPoint
+      entryPoint = undefined
     }
+
+    this._schedule(() => {
+      if (typeof this.db.loadExtension !== 'function') {
+        throw extensionError(path, null)
+      }
+      try {
+        if (entryPoint) {
+          this.db.loadExtension(path, entryPoint)
+        } else {
+          this.db.loadExtension(path)
+        }
+      } catch (err) {
+        throw extensionError(path, err)
+      }
+    }, callback && ((err) => callback.call(this, err)), true)
+    return this
+  }
+
+  // bun:sqlite has no equivalent of sqlite3_create_function(), so SQL
+  // functions cannot be defined from JavaScript. Fail here rather than with
+  // "no such function" at query time.
+  registerFunction(name) {
+    throw new Error(`registerFunction("${name}") is not supported by bun:sqlite, which cannot define SQL functions`)
+  }
+
+  registerAggregate(name) {
+    throw new Error(`registerAggregate("${name}") is not supported by bun:sqlite, which cannot define SQL functions`)
+  }
+
+  // Nor of sqlite3_create_collation()
+  registerCollation(name) {
+    throw new Error(`registerCollation("${name}") is not supported by bun:sqlite, which cannot define collations`)
   }
 
+  // Errors from operations without a callback go to 'error' listeners, like
+  // in node-sqlite3. Without listeners they are thrown instead: to the caller
+  // when the operation ran inline, otherwise as an uncaught exception.
+  _unhandledError(err, inline) {
+    if (inline && this.listenerCount('error') === 0) {
+      throw err
+    }
+    if (this.callbackMode === 'sync') {
+      this.emit('error', err)
+    } else {
+      setImmediate(() => this.emit('error', err))
+    }
+  }
+
+  // node-sqlite3's 'trace' (SQL text, as a statement starts) and 'profile'
+  // (SQL text and elapsed whole milliseconds, once it finishes) events, and
+  // the client's query stats. The clock is only read while someone listens
+  // for 'profile' or stats are enabled.
+  _traceStart(sql) {
+    if (this.listenerCount('trace') > 0) {
+      this.emit('trace', sql)
+    }
+    return this.listenerCount('profile') > 0 || this.queryStats ? performance.now() : null
+  }
+
+  _traceEnd(sql, start, params, rows) {
+    if (start === null) return
+    const elapsed = performance.now() - start
+    if (this.listenerCount('profile') > 0) {
+      this.emit('profile', sql, Math.floor(elapsed))
+    }
+    if (this.queryStats) {
+      this.queryStats.record(sql, params, elapsed, rows)
+    }
+  }
+
+  // Run fn between _traceStart and _traceEnd; countRows gives the number of
+  // rows returned from fn's result
+  _profile(sql, params, fn, countRows) {
+    const start = this._traceStart(sql)
+    let result
+    try {
+      result = fn()
+      return result
+    } finally {
+      this._traceEnd(sql, start, params, result !== undefined && countRows ? countRows(result) : 0)
+    }
+  }
+
+  // Queue every following operation until the previous one has completed.
+  // With a callback the mode only applies to operations issued inside it.
   serialize(callback) {
-    // bun:sqlite is synchronous by default, so we just call the callback
-    if (callback) callback()
+    return this._setMode(true, callback)
   }
 
+  // Let operations start without waiting for the ones before them
   parallelize(callback) {
-    // bun:sqlite is synchronous by default
-    if (callback) callback()
+    return this._setMode(false, callback)
   }
 
-  run(sql, params, callback) {
-    try {
-      // Handle different argument signatures
-      if (typeof params === 'function') {
-        callback = params
-        params = []
+  _setMode(serialized, callback) {
+    const previous = this._serialized
+    this._serialized = serialized
+    if (callback) {
+      try {
+        callback.call(this)
+      } finally {
+        this._serialized = previous
       }
-      
-      const normalizedParams = normalizeParams(params)
-      const stmt = this.db.prepare(sql)
-      const result = stmt.run(...normalizedParams)
-      stmt.finalize()
-      
-      if (callback) {
-        // Knex expects 'this' to have lastID and changes properties
-        const context = {
-          lastID: result.lastInsertRowid ? Number(result.lastInsertRowid) : undefined,
-          changes: result.changes || 0
-        }
-        callback.call(context, null)
+    }
+    this._process()
+    return this
+  }
+
+  // Operation queue modelled on node-sqlite3's Database::Schedule. There, work
+  // runs on a worker thread and completes on a later tick; an operation waits
+  // in the queue while the database is serialized (or the operation is
+  // exclusive) and others are pending, or while an exclusive one is running.
+  // bun:sqlite runs work inline, so work() executes as soon as the operation
+  // is dequeued and the operation stays pending until complete(err, result)
+  // has delivered its callbacks on a later tick. Operations without callbacks
+  // have nothing to deliver and finish inline; their errors are thrown to the
+  // caller. In 'sync' callback mode nothing is ever pending, so every
+  // operation runs and completes inline. Returns work()'s result when it ran
+  // straight away. Retryable operations that fail with SQLITE_BUSY are run
+  // again under the busyRetry policy, staying pending in the meantime.
+  _schedule(work, complete, exclusive = false, retryable = false) {
+    if ((this._locked || exclusive || this._serialized) && this._pending > 0) {
+      this._queue.push({ work, complete, exclusive: exclusive || this._serialized, retryable })
+      return undefined
+    }
+    return this._execute(work, complete, exclusive, true, retryable)
+  }
+
+  _execute(work, complete, exclusive, inline, retryable) {
+    if (!complete) {
+      try {
+        return work()
+      } catch (err) {
+        this._unhandledError(normalizeError(err), inline)
+        return undefined
       }
+    }
+
+    let result
+    let error = null
+    try {
+      result = work()
     } catch (err) {
-      if (callback) {
-        callback.call(this, err)
-      } else {
-        throw err
+      error = normalizeError(err)
+    }
+
+    if (this.callbackMode === 'sync') {
+      complete(error, result)
+      return result
+    }
+
+    this._locked = exclusive
+    this._pending++
+    const deliver = (err, value) => {
+      try {
+        complete(err, value)
+      } finally {
+        if (--this._pending === 0) this._locked = false
+        this._process()
       }
     }
+    if (retryable && this._shouldRetry(error)) {
+      this._retry(work, error, deliver)
+    } else {
+      setImmediate(() => deliver(error, result))
+    }
+    return result
   }
 
-  get(sql, params, callback) {
-    try {
-      if (typeof params === 'function') {
-        callback = params
-        params = []
+  // Only a plain SQLITE_BUSY outside a transaction is worth retrying: inside
+  // one (and for SQLITE_BUSY_SNAPSHOT) the transaction has to roll back first
+  _shouldRetry(err) {
+    return Boolean(
+      this.busyRetry && err && err.code === 'SQLITE_BUSY' &&
+      err.extendedCode !== 'SQLITE_BUSY_SNAPSHOT' && !this.db.inTransaction
+    )
+  }
+
+  _retry(work, error, deliver) {
+    const started = performance.now()
+    let attempts = 1
+    const schedule = (err) => {
+      const delay = this.busyRetry.delay(attempts, performance.now() - started)
+      if (delay === null) {
+        this.retryStats.exhausted++
+        err.attempts = attempts
+        return setImmediate(() => deliver(err))
       }
-      
-      const normalizedParams = normalizeParams(params)
+      this.retryStats.retries++
+      setTimeout(() => {
+        attempts++
+        let result
+        try {
+          result = work()
+        } catch (retryErr) {
+          retryErr = normalizeError(retryErr)
+          return this._shouldRetry(retryErr) ? schedule(retryErr) : deliver(retryErr)
+        }
+        this.retryStats.recovered++
+        deliver(null, result)
+      }, delay)
+    }
+    schedule(error)
+  }
+
+  _process() {
+    while (this._queue.length > 0 && (!this._locked || this._pending === 0)) {
+      const call = this._queue[0]
+      if (call.exclusive && this._pending > 0) break
+      this._queue.shift()
+      this._execute(call.work, call.complete, call.exclusive, false, call.retryable)
+    }
+  }
+
+  // Run fn with a prepared statement for sql, reusing cached statements
+  // With a cache size of 0 the statement is prepared and finalized per call,
+  // as are schema changes, which first drop every cached statement
+  _withStatement(sql, fn) {
+    const schemaChange = isSchemaChange(sql, false)
+    if (schemaChange) {
+      this.statementCache.clear()
+    }
+    if (schemaChange || this.statementCache.capacity === 0) {
       const stmt = this.db.prepare(sql)
-      const result = stmt.get(...normalizedParams)
-      stmt.finalize()
-      
-      if (callback) {
-        callback.call(this, null, result)
+      try {
+        return fn(stmt)
+      } finally {
+        stmt.finalize()
       }
-      return result
-    } catch (err) {
-      if (callback) {
-        callback.call(this, err)
-      } else {
-        throw err
+    }
+    return fn(this.statementCache.get(sql, (text) => this.db.prepare(text)))
+  }
+
+  getStatementCacheStats() {
+    return this.statementCache.stats()
+  }
+
+  clearStatementCache() {
+    this.statementCache.clear()
+  }
+
+  getRetryStats() {
+    return (this.retryStats || new RetryStats()).snapshot()
+  }
+
+  run(sql, params, callback) {
+    // Handle different argument signatures
+    if (typeof params === 'function') {
+      callback = params
+      params = []
+    }
+
+    this._schedule(() => this._run(sql, params), callback && ((err, result) => {
+      if (err) return callback.call(this, err)
+      // Knex expects 'this' to have lastID and changes properties
+      // Like sqlite3, lastID is always sqlite3_last_insert_rowid(), even when it is 0
+      callback.call({
+        lastID: narrowInteger(result.lastInsertRowid),
+        changes: result.changes
+      }, null)
+    }), false, true)
+  }
+
+  // The statements behind run(), get() and all(), also used by transaction
+  // scopes. They run straight away and throw on error.
+  _run(sql, params) {
+    const normalizedParams = normalizeParams(params, this.dateFormat)
+    return this._withStatement(sql, (stmt) => {
+      const values = fitParameters(stmt, normalizedParams)
+      return this._profile(sql, params, () => stmt.run(...values))
+    })
+  }
+
+  _get(sql, params, options) {
+    const normalizedParams = normalizeParams(params, this.dateFormat)
+    return this._withStatement(sql, (stmt) => {
+      const values = fitParameters(stmt, normalizedParams)
+      const row = this._profile(sql, params, () => stmt.get(...values), countRow)
+      const transform = row && this._rowTransform(stmt, options)
+      return transform ? transform(row) : row
+    })
+  }
+
+  _all(sql, params, options) {
+    const normalizedParams = normalizeParams(params, this.dateFormat)
+    return this._withStatement(sql, (stmt) => {
+      const values = fitParameters(stmt, normalizedParams)
+      const rows = this._profile(sql, params, () => stmt.all(...values), countRows)
+      const transform = this._rowTransform(stmt, options)
+      if (transform) rows.forEach(transform)
+      return rows
+    })
+  }
+
+  // Build the conversion applied to each row read from stmt, or null when rows
+  // are returned as bun:sqlite produced them. Per-call options override the
+  // connection defaults, e.g. { reviveDates: true }.
+  // Must be called after stmt has executed (declared types are read lazily).
+  _rowTransform(stmt, options) {
+    const revive = options && options.reviveDates !== undefined ? options.reviveDates : this.reviveDates
+    const safeIntegers = this.safeIntegers
+    const dateFormat = this.dateFormat
+    if (!revive && !safeIntegers) return null
+
+    let columns
+    return (row) => {
+      if (safeIntegers) narrowRow(row)
+      if (revive) {
+        columns = columns || dateColumns(stmt)
+        reviveRow(row, columns, dateFormat)
       }
+      return row
+    }
+  }
+
+  get(sql, params, options, callback) {
+    if (typeof params === 'function') {
+      callback = params
+      params = []
+    } else if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    return this._schedule(() => this._get(sql, params, options), callback && ((err, row) => callback.call(this, err, row)), false, true)
+  }
+
+  all(sql, params, options, callback) {
+    if (typeof params === 'function') {
+      callback = params
+      params = []
+    } else if (typeof options === 'function') {
+      callback = options
+      options = undefined
     }
+
+    return this._schedule(() => this._all(sql, params, options), callback && ((err, rows) => callback.call(this, err, rows)), false, true)
+  }
+
+  each(sql, params, rowCallback, completeCallback) {
+    // Handle different argument signatures
+    if (typeof params === 'function') {
+      completeCallback = rowCallback
+      rowCallback = params
+      params = []
+    }
+
+    // Rows are still read one at a time while the callbacks are delivered
+    this._schedule(
+      () => this.iterate(sql, params),
+      (err, rows) => deliverRows(this, err, rows, rowCallback, completeCallback)
+    )
   }
 
-  all(sql, params, callback) {
+  // Lazily iterate result rows one at a time
+  // Uses a dedicated statement (not the cache) so nested queries cannot reset it;
+  // the statement is finalized when iteration finishes or the iterator is returned
+  *iterate(sql, params, options) {
+    const normalizedParams = normalizeParams(params, this.dateFormat)
+    const start = this._traceStart(sql)
+    let stmt
+    let count = 0
     try {
-      if (typeof params === 'function') {
-        callback = params
-        params = []
-      }
-      
-      const normalizedParams = normalizeParams(params)
-      const stmt = this.db.prepare(sql)
-      const results = stmt.all(...normalizedParams)
-      stmt.finalize()
-      
-      if (callback) {
-        callback.call(this, null, results)
+      stmt = this.db.prepare(sql)
+      const transform = this._rowTransform(stmt, options)
+      for (const row of stmt.iterate(...fitParameters(stmt, normalizedParams))) {
+        count++
+        yield transform ? transform(row) : row
       }
-      return results
     } catch (err) {
-      if (callback) {
-        callback.call(this, err)
-      } else {
-        throw err
-      }
+      throw normalizeError(err)
+    } finally {
+      if (stmt) stmt.finalize()
+      this._traceEnd(sql, start, params, count)
     }
   }
 
-  each(sql, params, rowCallback, completeCallback) {
-    try {
-      // Handle different argument signatures
-      if (typeof params === 'function') {
-        completeCallback = rowCallback
-        rowCallback = params
-        params = []
+  // Runs the statements of a script one at a time, like sqlite3_exec(),
+  // stopping at the first error. Errors say which statement failed. With
+  // `{ transaction: true }` the script is all or nothing.
+  exec(sql, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    const transaction = Boolean(options && options.transaction)
+    const chunks = splitStatements(sql)
+    // Where the script stopped, so a busy retry resumes at the statement
+    // that failed instead of repeating the ones already applied. A
+    // transactional script rolls back and starts over.
+    let progress = { chunk: 0, index: 0 }
+
+    this._schedule(() => {
+      if (transaction) {
+        progress = { chunk: 0, index: 0 }
+        this._inTransaction(() => this._execScript(chunks, progress))
+      } else {
+        this._execScript(chunks, progress)
       }
-      
-      const normalizedParams = normalizeParams(params)
-      const stmt = this.db.prepare(sql)
-      const results = stmt.all(...normalizedParams)
-      stmt.finalize()
-      
-      let count = 0
-      for (const row of results) {
-        if (rowCallback) {
-          rowCallback.call(this, null, row)
+    }, callback && ((err) => callback.call(this, err)), true, true)
+  }
+
+  _execScript(chunks, progress) {
+    let index = progress.index
+    for (let i = progress.chunk; i < chunks.length; i++) {
+      if (chunks[i].empty) continue
+
+      // Extend the statement while SQLite says it is cut short, which
+      // happens at semicolons inside CREATE TRIGGER ... BEGIN ... END
+      let text = chunks[i].sql
+      let stmt
+      while (!stmt) {
+        try {
+          stmt = this.db.prepare(text)
+        } catch (err) {
+          if (!INCOMPLETE_INPUT_PATTERN.test(err.message) || i + 1 === chunks.length) {
+            throw scriptError(err, index, text)
+          }
+          text += chunks[++i].sql
         }
-        count++
       }
-      
-      if (completeCallback) {
-        completeCallback.call(this, null, count)
+
+      try {
+        if (isSchemaChange(text, true)) {
+          // Finalize cached statements first so DDL never races a stale plan
+          this.statementCache.clear()
+        }
+        this._profile(statementText(text), [], () => stmt.run())
+      } catch (err) {
+        throw scriptError(err, index, text)
+      } finally {
+        stmt.finalize()
       }
+      index++
+      progress.chunk = i + 1
+      progress.index = index
+    }
+  }
+
+  // Run fn in a transaction, or in a savepoint when one is already open,
+  // rolling back if it throws
+  _inTransaction(fn) {
+    const nested = this.db.inTransaction
+    this.db.run(nested ? 'SAVEPOINT knex_bun_sqlite_exec' : 'BEGIN')
+    try {
+      fn()
     } catch (err) {
-      if (rowCallback) {
-        rowCallback.call(this, err)
+      if (nested) {
+        this.db.run('ROLLBACK TO knex_bun_sqlite_exec')
+        this.db.run('RELEASE knex_bun_sqlite_exec')
+      } else if (this.db.inTransaction) {
+        this.db.run('ROLLBACK')
+      }
+      throw err
+    }
+    this.db.run(nested ? 'RELEASE knex_bun_sqlite_exec' : 'COMMIT')
+  }
+
+  // bun:sqlite's transaction helper for synchronous work. Returns a function
+  // that runs fn(scope, ...args) between BEGIN and COMMIT and rolls back if fn
+  // throws; while a transaction is already open it uses a savepoint instead,
+  // so calls nest. Its .deferred, .immediate and .exclusive variants choose
+  // the BEGIN statement. The function runs straight away, ahead of any queued
+  // operations.
+  transaction(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('transaction() expects a function')
+    }
+    const scope = new TransactionScope(this)
+    const native = this.db.transaction((...args) => {
+      const result = fn(scope, ...args)
+      if (result && typeof result.then === 'function') {
+        // bun:sqlite would commit as soon as fn returns, before the work is done
+        throw new TypeError('Transaction functions must be synchronous, use knex.transaction() for async work')
+      }
+      return result
+    })
+    const wrap = (run) => (...args) => normalized(() => run(...args))
+    const transaction = wrap(native)
+    for (const mode of TRANSACTION_MODES) {
+      transaction[mode] = wrap(native[mode])
+    }
+    return transaction
+  }
+
+  // Apply [name, value] pairs from resolvePragmas(), throwing on the first
+  // pragma that errors or does not take effect
+  applyPragmas(pragmas) {
+    for (const [name, value] of pragmas) {
+      let result
+      try {
+        const stmt = this.db.prepare(`PRAGMA ${name} = ${value}`)
+        result = stmt.get()
+        stmt.finalize()
+      } catch (err) {
+        const error = new Error(`Failed to apply PRAGMA ${name} = ${value}: ${err.message}`)
+        error.cause = normalizeError(err)
+        throw error
       }
-      if (completeCallback) {
-        completeCallback.call(this, err)
+
+      // journal_mode reports the resulting mode instead of failing, e.g. WAL is
+      // silently refused for in-memory databases
+      if (name === 'journal_mode' && result && this.filename !== ':memory:') {
+        const actual = String(result.journal_mode).toUpperCase()
+        if (actual !== value.toUpperCase()) {
+          throw new Error(`Failed to apply PRAGMA journal_mode = ${value}: database is using ${actual}`)
+        }
       }
     }
   }
 
-  exec(sql, callback) {
+  // Snapshot the database into a Buffer that can be passed back to the
+  // constructor (or as Knex's connection.filename) to get an in-memory copy
+  serializeToBuffer(schema = 'main') {
     try {
-      this.db.run(sql)
-      if (callback) {
-        callback.call(this, null)
+      // sqlite3_serialize() fails with a misleading "out of memory" for
+      // schemas that are not attached
+      const stmt = this.db.prepare('SELECT 1 FROM pragma_database_list WHERE name = ?')
+      const attached = stmt.get(schema)
+      stmt.finalize()
+      if (!attached) {
+        throw new Error(`Unknown schema "${schema}"`)
       }
+      return this.db.serialize(schema)
     } catch (err) {
-      if (callback) {
-        callback.call(this, err)
-      } else {
-        throw err
-      }
+      throw normalizeError(err)
+    }
+  }
+
+  // Online backup, in place of node-sqlite3's sqlite3_backup_* based backup().
+  // bun:sqlite does not expose the backup API, so the 'pages' strategy takes a
+  // consistent snapshot with sqlite3_serialize(), which copies the whole
+  // database into memory in one blocking call, and only then writes it out in
+  // page-sized steps; 'vacuum' runs VACUUM INTO, which also compacts the copy
+  // but writes it in a single blocking statement. Returns a promise and also
+  // calls callback(err, { strategy, totalPages }) when given.
+  backup(destination, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
     }
-  }
+    const {
+      strategy = 'pages',
+      schema = 'main',
+      pagesPerStep = DEFAULT_BACKUP_PAGES_PER_STEP,
+      progress
+    } = options || {}
 
-  prepare(sql, params, callback) {
+    let result
     try {
-      if (typeof params === 'function') {
-        callback = params
-        params = []
+      if (!BACKUP_STRATEGIES.includes(strategy)) {
+        throw new Error(
+          `Unknown backup strategy "${strategy}". Available strategies: ${BACKUP_STRATEGIES.join(', ')}`
+        )
       }
-      
-      const bunStmt = this.db.prepare(sql)
-      const stmt = new Statement(bunStmt, this)
-      
-      if (callback) {
-        callback.call(stmt, null)
+      if (!Number.isInteger(pagesPerStep) || pagesPerStep < 1) {
+        throw new Error(`pagesPerStep must be a positive integer, got ${pagesPerStep}`)
       }
-      return stmt
-    } catch (err) {
-      if (callback) {
-        callback.call(this, err)
+
+      const stmt = this.db.prepare(`PRAGMA ${quoteIdentifier(schema)}.page_size`)
+      const { page_size: pageSize } = stmt.get()
+      stmt.finalize()
+
+      if (strategy === 'vacuum') {
+        this.db.run(`VACUUM ${quoteIdentifier(schema)} INTO ?`, [destination])
+        const totalPages = Math.ceil(fs.statSync(destination).size / pageSize)
+        if (progress) progress({ totalPages, remainingPages: 0 })
+        result = Promise.resolve({ strategy, totalPages })
       } else {
-        throw err
+        const image = this.db.serialize(schema)
+        result = writeBackupImage(image, destination, pageSize, pagesPerStep, progress)
+          .then((totalPages) => ({ strategy, totalPages }))
       }
+    } catch (err) {
+      result = Promise.reject(normalizeError(err))
     }
+
+    if (callback) {
+      result.then(
+        (info) => callback.call(this, null, info),
+        (err) => callback.call(this, err)
+      )
+    }
+    return result
+  }
+
+  prepare(sql, ...args) {
+    const [params, callback] = statementArguments(args)
+
+    // The statement is returned straight away and prepared when its turn comes
+    const statement = new Statement(null, this, sql)
+    this._schedule(() => {
+      try {
+        statement.stmt = this.db.prepare(sql)
+      } catch (err) {
+        statement.prepareError = normalizeError(err)
+        throw statement.prepareError
+      }
+      statement._bind(params)
+    }, callback && ((err) => {
+      if (err) return callback.call(this, err)
+      callback.call(statement, null)
+    }))
+    return statement
+  }
+}
+
+// Synchronous statements for the body of a Database#transaction() function.
+// Parameters and options are those of run(), get() and all(), but results are
+// returned and errors thrown, so a failing statement rolls the transaction back.
+class TransactionScope {
+  constructor(database) {
+    this.database = database
+  }
+
+  run(sql, params) {
+    const result = normalized(() => this.database._run(sql, params))
+    return { lastID: narrowInteger(result.lastInsertRowid), changes: result.changes }
+  }
+
+  get(sql, params, options) {
+    return normalized(() => this.database._get(sql, params, options))
+  }
+
+  all(sql, params, options) {
+    return normalized(() => this.database._all(sql, params, options))
+  }
+
+  // Run fn(scope) in a savepoint: only its own work is rolled back if it throws
+  savepoint(fn) {
+    return this.database.transaction(fn)()
   }
 }
 
 class Statement {
-  constructor(bunStatement, db) {
+  constructor(bunStatement, db, sql) {
     this.stmt = bunStatement
     this.db = db
+    // The SQL text, as on node-sqlite3 statements
+    this.sql = sql
+    // Normalized values passed to every execution until parameters are
+    // bound again, like bindings on a node-sqlite3 statement
+    this.bindings = []
+    this.boundParams = []
+    // Rows that get() steps through one at a time, until reset
+    this.cursor = null
+    // Operations waiting for the previous one on this statement, see _schedule()
+    this._locked = false
+    this._queue = []
+  }
+
+  // Like node-sqlite3's Statement::Schedule, an operation waits until the
+  // previous one on this statement has delivered its callbacks, so a
+  // finalize() issued after each() runs once every row has been delivered.
+  // Statement operations also share the database's queue, so they keep their
+  // order relative to database operations in serialized mode.
+  _schedule(work, complete, queued = false) {
+    if (this._locked) {
+      this._queue.push({ work, complete })
+      return undefined
+    }
+    const run = () => {
+      if (this.prepareError) throw this.prepareError
+      return work()
+    }
+    if (!complete) return this.db._schedule(run)
+
+    this._locked = true
+    const unlock = (err, result) => {
+      try {
+        complete(err, result)
+      } finally {
+        this._locked = false
+        this._process()
+      }
+    }
+    // As in node-sqlite3, a statement's own queue goes ahead of operations
+    // waiting on the database, which still wait for it to complete
+    if (queued) return this.db._execute(run, unlock, this.db._serialized, false, false)
+    return this.db._schedule(run, unlock)
+  }
+
+  // Operations queued without a callback report errors through the
+  // database's 'error' event, as they no longer run inside the caller
+  _process() {
+    while (!this._locked && this._queue.length > 0) {
+      const { work, complete } = this._queue.shift()
+      this._schedule(work, complete || ((err) => {
+        if (err) this.db._unhandledError(err, false)
+      }), true)
+    }
+  }
+
+  // Replace the bindings when parameters are given; without any, executions
+  // reuse the previous ones
+  _bind(params) {
+    if (!hasParameters(params)) return
+    this._reset()
+    this.bindings = fitParameters(this.stmt, normalizeParams(params, this.db.dateFormat))
+    this.boundParams = Array.isArray(params) ? params : [params]
+  }
+
+  // bun:sqlite has no sqlite3_reset(), and a statement left mid-iteration
+  // cannot be bound again, so the get() cursor runs on its own statement.
+  // Finalizing it rewinds the cursor and releases its read lock.
+  _reset() {
+    if (this.cursor) {
+      this.cursor.stmt.finalize()
+      this.cursor = null
+    }
+  }
+
+  _step() {
+    if (!this.cursor) {
+      const stmt = this.db.db.prepare(this.sql)
+      this.cursor = { stmt, rows: stmt.iterate(...this.bindings) }
+    }
+    try {
+      const next = this.cursor.rows.next()
+      return next.done ? undefined : next.value
+    } catch (err) {
+      this._reset()
+      throw err
+    }
   }
 
-  bind(...params) {
-    this.boundParams = params
+  bind(...args) {
+    const [params, callback] = statementArguments(args)
+    this._schedule(() => {
+      this._reset()
+      this._bind(params)
+    }, callback && ((err) => callback.call(this, err)))
     return this
   }
 
+  // Rewind get() to the first row, keeping the bindings
   reset(callback) {
-    // bun:sqlite statements don't need explicit reset
-    if (callback) callback.call(this, null)
+    this._schedule(() => {
+      this._reset()
+    }, callback && ((err) => callback.call(this, err)))
     return this
   }
 
   finalize(callback) {
-    try {
+    this._schedule(() => {
+      this._reset()
       this.stmt.finalize()
-      if (callback) callback.call(this, null)
-    } catch (err) {
-      if (callback) callback.call(this, err)
-    }
+    }, callback && ((err) => callback.call(this, err)))
     return this
   }
 
   run(...args) {
-    let params = args
-    let callback
-    
-    if (typeof args[args.length - 1] === 'function') {
-      callback = args.pop()
-      params = args
-    }
-    
-    if (this.boundParams && params.length === 0) {
-      params = this.boundParams
-    }
-    
-    try {
-      const normalizedParams = normalizeParams(params)
-      const result = this.stmt.run(...normalizedParams)
-      if (callback) {
-        const context = {
-          lastID: result.lastInsertRowid ? Number(result.lastInsertRowid) : undefined,
-          changes: result.changes || 0
-        }
-        callback.call(context, null)
-      }
-    } catch (err) {
-      if (callback) {
-        callback.call(this, err)
-      } else {
-        throw err
-      }
-    }
+    const [params, callback] = statementArguments(args)
+    this._schedule(() => {
+      this._bind(params)
+      this._reset()
+      return this.db._profile(this.sql, this.boundParams, () => this.stmt.run(...this.bindings))
+    }, callback && ((err, result) => {
+      if (err) return callback.call(this, err)
+      callback.call({
+        lastID: narrowInteger(result.lastInsertRowid),
+        changes: result.changes
+      }, null)
+    }))
     return this
   }
 
+  // Like node-sqlite3, each get() without parameters returns the next row,
+  // and undefined once the rows run out, until the statement is reset or
+  // bound again
   get(...args) {
-    let params = args
-    let callback
-    
-    if (typeof args[args.length - 1] === 'function') {
-      callback = args.pop()
-      params = args
-    }
-    
-    if (this.boundParams && params.length === 0) {
-      params = this.boundParams
-    }
-    
-    try {
-      const normalizedParams = normalizeParams(params)
-      const result = this.stmt.get(...normalizedParams)
-      if (callback) {
-        callback.call(this, null, result)
-      }
+    const [params, callback] = statementArguments(args)
+    return this._schedule(() => {
+      this._bind(params)
+      const result = this.db._profile(this.sql, this.boundParams, () => this._step(), countRow)
+      const transform = result && this.db._rowTransform(this.cursor.stmt)
+      if (transform) transform(result)
       return result
-    } catch (err) {
-      if (callback) {
-        callback.call(this, err)
-      } else {
-        throw err
-      }
-    }
+    }, callback && ((err, row) => callback.call(this, err, row)))
   }
 
   all(...args) {
-    let params = args
-    let callback
-    
-    if (typeof args[args.length - 1] === 'function') {
-      callback = args.pop()
-      params = args
-    }
-    
-    if (this.boundParams && params.length === 0) {
-      params = this.boundParams
-    }
-    
-    try {
-      const normalizedParams = normalizeParams(params)
-      const results = this.stmt.all(...normalizedParams)
-      if (callback) {
-        callback.call(this, null, results)
-      }
+    const [params, callback] = statementArguments(args)
+    return this._schedule(() => {
+      this._bind(params)
+      this._reset()
+      const results = this.db._profile(this.sql, this.boundParams, () => this.stmt.all(...this.bindings), countRows)
+      const transform = this.db._rowTransform(this.stmt)
+      if (transform) results.forEach(transform)
       return results
-    } catch (err) {
-      if (callback) {
-        callback.call(this, err)
-      } else {
-        throw err
-      }
-    }
+    }, callback && ((err, rows) => callback.call(this, err, rows)))
   }
 
   each(...args) {
-    let params = []
+    const params = []
     let rowCallback
     let completeCallback
     
@@ -373,33 +1947,26 @@ class Statement {
       }
     }
     
-    if (this.boundParams && params.length === 0) {
-      params = this.boundParams
-    }
-    
-    try {
-      const normalizedParams = normalizeParams(params)
-      const results = this.stmt.all(...normalizedParams)
-      let count = 0
-      
-      for (const row of results) {
-        if (rowCallback) {
-          rowCallback.call(this, null, row)
+    this._schedule(() => {
+      this._bind(statementArguments(params)[0])
+      this._reset()
+      const { stmt, db, sql, bindings, boundParams } = this
+      return (function* () {
+        const start = db._traceStart(sql)
+        let count = 0
+        try {
+          let transform
+          for (const row of stmt.iterate(...bindings)) {
+            transform = transform === undefined ? db._rowTransform(stmt) : transform
+            if (transform) transform(row)
+            count++
+            yield row
+          }
+        } finally {
+          db._traceEnd(sql, start, boundParams, count)
         }
-        count++
-      }
-      
-      if (completeCallback) {
-        completeCallback.call(this, null, count)
-      }
-    } catch (err) {
-      if (rowCallback) {
-        rowCallback.call(this, err)
-      }
-      if (completeCallback) {
-        completeCallback.call(this, err)
-      }
-    }
+      })()
+    }, (err, rows) => deliverRows(this, err, rows, rowCallback, completeCallback))
     return this
   }
 }
@@ -409,29 +1976,628 @@ Database.OPEN_READONLY = 0x00000001
 Database.OPEN_READWRITE = 0x00000002
 Database.OPEN_CREATE = 0x00000004
 
+// Export the primary result codes like sqlite3 does (Database.CONSTRAINT === 19)
+Database.OK = 0
+for (const [errno, code] of Object.entries(RESULT_CODES)) {
+  Database[code.slice('SQLITE_'.length)] = Number(errno)
+}
+
 // Create a driver object that mimics sqlite3's structure
 const driver = Database
 driver.Database = Database
 
 // If we successfully loaded the Knex SQLite3 client, create a custom client
 if (Client_SQLite3) {
+  const { makeEscape } = require('knex/lib/util/string')
+  const SqliteQueryCompiler = require('knex/lib/dialects/sqlite3/query/sqlite-querycompiler')
+  const Transaction_Sqlite = require('knex/lib/dialects/sqlite3/execution/sqlite-transaction')
+  const { timeout } = require('knex/lib/util/timeout')
+  const Runner = require('knex/lib/execution/runner')
+  const QueryBuilder = require('knex/lib/query/querybuilder')
+  const Raw = require('knex/lib/raw')
+  const { KnexPool } = require('knex/lib/pool')
+
+  // Query builder methods that only read, routed to reader connections
+  const READ_METHODS = new Set(['select', 'first', 'pluck'])
+
+  // Knex's SQLite compiler already appends RETURNING to inserts and updates
+  // but drops it from deletes; SQLite supports all three since 3.35
+  class BunSqliteQueryCompiler extends SqliteQueryCompiler {
+    del() {
+      const sql = super.del()
+      const { returning } = this.single
+      if (!returning) return sql
+      return { sql: sql + this._returning(returning), returning }
+    }
+  }
+
+  // Wraps each transaction, savepoints included, in an active span so the
+  // query spans issued inside it become its children, and begins top-level
+  // transactions in the requested mode
+  class BunSqliteTransaction extends Transaction_Sqlite {
+    _evaluateContainer(config, container) {
+      return this.client._traceTransaction(Boolean(this.outerTx), () => {
+        this.mode = this._transactionMode(config)
+        return super._evaluateContainer(config, container)
+      })
+    }
+
+    // { mode } from knex.transaction(fn, config), else connection.transactionMode.
+    // Without either Knex's plain (deferred) BEGIN is kept.
+    _transactionMode(config) {
+      const mode = checkTransactionMode(config.mode !== undefined ? config.mode : this.client.connectionSettings.transactionMode)
+      if (mode && this.outerTx && config.mode !== undefined) {
+        this.client.logger.warn('Nested transactions are savepoints, ignoring the transaction mode param')
+      }
+      return mode
+    }
+
+    // DEFERRED takes the write lock at the first write, which fails with
+    // SQLITE_BUSY when another connection wrote in the meantime. IMMEDIATE
+    // and EXCLUSIVE take it up front, so a busy BEGIN can simply be retried.
+    begin(conn) {
+      if (!this.mode) return super.begin(conn)
+      return this.query(conn, `BEGIN ${this.mode.toUpperCase()};`)
+    }
+
+    // ROLLBACK TO leaves the savepoint open, so an outer transaction that
+    // rolls back many inner ones would pile them up until it ends. Release it
+    // straight away, as bun:sqlite's transaction helper does, before the
+    // inner transaction settles and the outer one moves on. Both statements
+    // are issued before the transaction is marked complete, which refuses
+    // further queries, and run in order on its connection.
+    rollbackTo(conn, error) {
+      const savepoint = this.txid
+      const rolledBack = this.trxClient.query(conn, `ROLLBACK TO SAVEPOINT ${savepoint}`)
+      const released = this.trxClient.query(conn, `RELEASE SAVEPOINT ${savepoint}`)
+      this._completed = true
+      return timeout(Promise.all([rolledBack, released]), 5000).then(
+        () => {
+          if (error === undefined && this.doNotRejectOnRollback) return this._resolver()
+          this._rejecter(error === undefined ? new Error(`Transaction rejected with non-error: ${error}`) : error)
+        },
+        // Unlike Knex, which rejects with the failed query's error, a failed
+        // ROLLBACK TO or RELEASE (or the timeout) is dropped in favour of the
+        // reason the caller rolled back with, and only used when there is none
+        (err) => this._rejecter(error === undefined ? err : error)
+      )
+    }
+  }
+
+  // Runs read-only queries on a reader connection when connection.readers is
+  // set. Everything else, and any query given an explicit connection, takes
+  // Knex's usual path to the writer.
+  class BunSqliteRunner extends Runner {
+    async ensureConnection(cb, cbParams) {
+      if (this.builder._connection || this.connection || !this.client._isReadQuery(this.builder)) {
+        return super.ensureConnection(cb, cbParams)
+      }
+      const connection = await this.client.acquireReaderConnection()
+      try {
+        this.connection = connection
+        return await cb(this, cbParams)
+      } finally {
+        await this.client.releaseReaderConnection(connection)
+      }
+    }
+  }
+
   class BunSqliteClient extends Client_SQLite3 {
     constructor(config) {
       super(config)
       this.dialect = 'sqlite3'
       this.driverName = 'bun:sqlite'
+      // Raw connections currently open through this client
+      this.connections = new Set()
+      // Per-SQL timings across every connection, when connection.queryStats is set
+      this.queryStats = this._queryStats()
+      // Busy retry and write queue counters across every connection
+      const { busyRetry, writeQueue, callbackMode } = this.connectionSettings || {}
+      checkBusyRetryCallbackMode(busyRetry, callbackMode)
+      this.retryStats = busyRetry || writeQueue ? new RetryStats() : null
+    }
+
+    _queryStats() {
+      const config = this.connectionSettings && this.connectionSettings.queryStats
+      if (!config) return null
+      return new QueryStats({
+        onSlowQuery: ({ sql, bindings, duration, rows }) => {
+          this.logger.warn(
+            `Slow query (${duration.toFixed(1)}ms, ${rows} rows): ${sql} ` +
+            `bindings: ${inspect(bindings, { breakLength: Infinity })}`
+          )
+        },
+        ...(config === true ? {} : config)
+      })
     }
     
     _driver() {
       // Return our bun:sqlite adapter with proper structure
       return driver
     }
+
+    // Translate the connection config into sqlite3 open-mode flags.
+    // Supports `readonly: true`, `create: false` and Knex's `flags` array.
+    _openMode() {
+      const settings = this.connectionSettings
+      const flags = settings.flags === undefined ? [] : settings.flags
+
+      if (!Array.isArray(flags)) {
+        throw new Error('flags must be an array of strings')
+      }
+
+      let mode = Database.OPEN_READWRITE | Database.OPEN_CREATE
+      for (const flag of flags) {
+        if (!flag.startsWith('OPEN_') || !Database[flag]) {
+          throw new Error(`flag ${flag} not supported by bun:sqlite`)
+        }
+        mode |= Database[flag]
+      }
+
+      if (settings.readonly || mode & Database.OPEN_READONLY) {
+        return Database.OPEN_READONLY
+      }
+      if (settings.create === false) {
+        mode &= ~Database.OPEN_CREATE
+      }
+      return mode
+    }
+
+    // Transaction clients are created without running the constructor, so
+    // the tracer is read from the (shared) connection settings
+    _tracer() {
+      return this.connectionSettings.tracer || NOOP_TRACER
+    }
+
+    _spanAttributes() {
+      const { filename } = this.connectionSettings
+      return { 'db.system': 'sqlite', 'db.name': typeof filename === 'string' ? filename : ':memory:' }
+    }
+
+    // Run a query inside a span; fn receives the span and returns a promise
+    _traceQuery(sql, fn) {
+      const operation = sqlOperation(sql)
+      const span = this._tracer().startSpan(operation, {
+        kind: SPAN_KIND_CLIENT,
+        attributes: { ...this._spanAttributes(), 'db.operation': operation, 'db.statement': sql }
+      })
+      return fn(span).then(
+        (result) => {
+          endSpan(span)
+          return result
+        },
+        (err) => {
+          endSpan(span, err)
+          throw err
+        }
+      )
+    }
+
+    // Run fn in a TRANSACTION span, marked as nested for savepoints
+    _traceTransaction(nested, fn) {
+      const options = {
+        kind: SPAN_KIND_CLIENT,
+        attributes: { ...this._spanAttributes(), 'db.operation': 'TRANSACTION' }
+      }
+      if (nested) options.attributes['db.transaction.nested'] = true
+      return this._tracer().startActiveSpan('TRANSACTION', options, async (span) => {
+        try {
+          const result = await fn()
+          endSpan(span)
+          return result
+        } catch (err) {
+          endSpan(span, err)
+          throw err
+        }
+      })
+    }
+
+    transaction() {
+      return new BunSqliteTransaction(this, ...arguments)
+    }
+
+    // Run fn(scope) synchronously in a bun:sqlite transaction on a pooled
+    // connection, for hot loops that would otherwise pay a promise per
+    // statement. Called on a transaction's client it runs on that transaction's
+    // connection as a savepoint. A busy transaction is retried as a whole under
+    // connection.busyRetry, so fn may run more than once.
+    async transactionSync(fn, config = {}) {
+      const mode = checkTransactionMode(config.mode !== undefined ? config.mode : this.connectionSettings.transactionMode)
+      const connection = await this.acquireConnection()
+      try {
+        if (this.transacting && !connection.db.inTransaction) {
+          throw new Error('Transaction query already complete')
+        }
+        const transaction = connection.transaction(fn)
+        const run = mode ? transaction[mode] : transaction
+        return await this._withWriteQueue(connection, 'BEGIN', () => this._traceTransaction(Boolean(this.transacting), () => {
+          return new Promise((resolve, reject) => {
+            connection._schedule(() => run(), (err, result) => (err ? reject(err) : resolve(result)), true, true)
+          })
+        }))
+      } finally {
+        await this.releaseConnection(connection)
+      }
+    }
+
+    runner(builder) {
+      return new BunSqliteRunner(this, builder)
+    }
+
+    // Number of read-only connections from connection.readers, or 0 when
+    // every query shares Knex's pool
+    _readers() {
+      const { readers, filename } = this.connectionSettings || {}
+      if (readers === undefined || readers === null || readers === 0) return 0
+      if (!Number.isInteger(readers) || readers < 0) {
+        throw new Error('readers must be a non-negative integer')
+      }
+      if (typeof filename !== 'string' || filename === '' || filename === ':memory:') {
+        throw new Error('connection.readers requires a database file: in-memory databases are private to each connection')
+      }
+      return readers
+    }
+
+    // With connection.readers, Knex's pool holds the single writer and a
+    // second pool holds the readers. The reader pool belongs to a view of
+    // this client whose raw connections open read-only, so it gets Knex's
+    // pool options, afterCreate/validate hooks and acquire timeouts as is.
+    initializePool(config = this.config) {
+      const readers = this._readers()
+      if (!readers) return super.initializePool(config)
+
+      super.initializePool({ ...config, pool: { ...config.pool, min: 1, max: 1 } })
+      if (!this.readerClient) {
+        this.readerClient = Object.create(this, { _reader: { value: true } })
+        this.readerClient.pool = new KnexPool(this.readerClient.getPoolSettings({ ...config.pool, min: 0, max: readers }))
+      }
+    }
+
+    // Transaction clients never have readers: their queries stay on the
+    // transaction's connection
+    _isReadQuery(builder) {
+      if (!this.readerClient || this.transacting) return false
+      if (builder instanceof QueryBuilder) {
+        // Columns and tables can be raw SQL, so check the compiled query
+        return READ_METHODS.has(builder._method) && !usesConnectionState(builder.toSQL().sql)
+      }
+      if (builder instanceof Raw) return isReadQuery(builder.sql) && !usesConnectionState(builder.sql)
+      return false
+    }
+
+    async acquireReaderConnection() {
+      // The writer opens first so it creates the file and applies
+      // persistent pragmas such as journal_mode before any reader opens.
+      // An existing writer may be held by a transaction, so only wait for
+      // one that was never created.
+      if (!this._writerOpened && this.pool.numUsed() + this.pool.numFree() > 0) {
+        this._writerOpened = Promise.resolve()
+      }
+      if (!this._writerOpened) {
+        this._writerOpened = this.acquireConnection()
+          .then((connection) => this.releaseConnection(connection))
+          .catch((err) => {
+            this._writerOpened = null
+            throw err
+          })
+      }
+      await this._writerOpened
+      return this.readerClient.acquireConnection()
+    }
+
+    releaseReaderConnection(connection) {
+      return this.readerClient.releaseConnection(connection)
+    }
+
+    async destroy(callback) {
+      if (this.readerClient) {
+        // Readers still in use are released into the pool while it drains
+        try {
+          await this.readerClient.pool.destroy()
+        } catch (err) {
+          if (typeof callback === 'function') return callback(err)
+          throw err
+        }
+        this.readerClient = undefined
+        this._writerOpened = null
+      }
+      return super.destroy(callback)
+    }
+
+    // connection.extensions entries are paths or { path, entryPoint } objects,
+    // loaded in order on every new connection
+    _extensions() {
+      const extensions = this.connectionSettings.extensions || []
+      if (!Array.isArray(extensions)) {
+        throw new Error('extensions must be an array of paths or { path, entryPoint } objects')
+      }
+      return extensions.map((extension) => {
+        const entry = typeof extension === 'string' ? { path: extension } : extension
+        if (!entry || typeof entry.path !== 'string') {
+          throw new Error(`Invalid extension ${inspect(extension)}: expected a path or { path, entryPoint }`)
+        }
+        return entry
+      })
+    }
+
+    // Adapter options taken from the connection config
+    _databaseOptions() {
+      return {
+        statementCacheSize: this.connectionSettings.statementCacheSize,
+        reviveDates: this.connectionSettings.reviveDates,
+        dateFormat: this.connectionSettings.dateFormat,
+        safeIntegers: this.connectionSettings.safeIntegers,
+        callbackMode: this.connectionSettings.callbackMode,
+        queryStats: this.queryStats,
+        busyRetry: this.connectionSettings.busyRetry,
+        retryStats: this.retryStats
+      }
+    }
+
+    // The write queue shared by every client in the process writing to this
+    // database file, or null. In-memory databases are private to their
+    // connection, so there is nothing to queue for.
+    _writeQueue() {
+      const { writeQueue, filename } = this.connectionSettings
+      if (!writeQueue || typeof filename !== 'string' || filename === '' || filename === ':memory:') {
+        return null
+      }
+      return writeQueueFor(filename)
+    }
+
+    _writeQueueTimeout() {
+      const { writeQueue } = this.connectionSettings
+      const timeout = writeQueue === true || writeQueue.timeout === undefined
+        ? DEFAULT_WRITE_QUEUE_TIMEOUT
+        : writeQueue.timeout
+      if (typeof timeout !== 'number' || !(timeout >= 0)) {
+        throw new Error('writeQueue.timeout must be a non-negative number of milliseconds (0 waits forever)')
+      }
+      return timeout
+    }
+
+    // Run fn once connection holds the write queue, unless sql only reads.
+    // The queue is released after the first statement that leaves the
+    // connection outside a transaction, so BEGIN holds it until COMMIT.
+    async _withWriteQueue(connection, sql, fn) {
+      const queue = this._writeQueue()
+      if (!queue) return fn()
+
+      if (queue.owner !== connection && !isReadQuery(sql)) {
+        const start = performance.now()
+        const waited = await queue.acquire(connection, this._writeQueueTimeout())
+        if (waited && connection.retryStats) {
+          connection.retryStats.queued++
+          connection.retryStats.queueWaitMs += performance.now() - start
+        }
+      }
+      try {
+        return await fn()
+      } finally {
+        if (queue.owner === connection && !connection.db.inTransaction) {
+          queue.release(connection)
+        }
+      }
+    }
+
+    acquireRawConnection() {
+      return new Promise((resolve, reject) => {
+        if (this.connectionSettings.functions) {
+          throw new Error('connection.functions is not supported by bun:sqlite, which cannot define SQL functions')
+        }
+        if (this.connectionSettings.collations) {
+          throw new Error('connection.collations is not supported by bun:sqlite, which cannot define collations')
+        }
+        let pragmas = resolvePragmas(this.connectionSettings.pragmas)
+        if (this._reader) {
+          pragmas = pragmas.filter(([name]) => !PERSISTENT_PRAGMAS.has(name))
+        }
+        const db = new this.driver.Database(
+          this.connectionSettings.filename,
+          this._reader ? Database.OPEN_READONLY : this._openMode(),
+          this._databaseOptions(),
+          (err) => {
+            if (err) {
+              return reject(err)
+            }
+            try {
+              for (const { path, entryPoint } of this._extensions()) {
+                db.loadExtension(path, entryPoint)
+              }
+              db.applyPragmas(pragmas)
+            } catch (setupErr) {
+              db.close()
+              return reject(setupErr)
+            }
+            this.connections.add(db)
+            resolve(db)
+          }
+        )
+      })
+    }
+
+    // Same as Knex's SQLite3 _query, but forwards per-query options such as
+    // `.options({ reviveDates: true })` to the adapter's get/all methods
+    _query(connection, obj) {
+      if (!obj.sql) throw new Error('The query is empty')
+
+      let callMethod
+      switch (obj.method) {
+        case 'insert':
+        case 'update':
+        case 'del':
+          callMethod = obj.returning ? 'all' : 'run'
+          break
+        case 'counter':
+          callMethod = 'run'
+          break
+        default:
+          callMethod = 'all'
+      }
+
+      return this._withWriteQueue(connection, obj.sql, () => this._traceQuery(obj.sql, (span) => new Promise((resolver, rejecter) => {
+        if (!connection || !connection[callMethod]) {
+          return rejecter(new Error(`Error calling ${callMethod} on connection.`))
+        }
+
+        const callback = function (err, response) {
+          if (err) return rejecter(err)
+          obj.response = response
+
+          // We need the context here, as it contains
+          // the "this.lastID" or "this.changes"
+          obj.context = this
+
+          if (callMethod === 'run') {
+            span.setAttribute('db.rows_affected', this.changes)
+          } else if (obj.returning) {
+            span.setAttribute('db.rows_affected', response.length)
+          }
+          return resolver(obj)
+        }
+
+        if (callMethod === 'all') {
+          connection.all(obj.sql, obj.bindings, obj.options, callback)
+        } else {
+          connection.run(obj.sql, obj.bindings, callback)
+        }
+      })))
+    }
+
+    queryCompiler(builder, formatter) {
+      return new BunSqliteQueryCompiler(this, builder, formatter)
+    }
+
+    // Deletes with .returning() resolve with the returned rows like inserts
+    // and updates do, instead of the number of deleted rows
+    processResponse(obj, runner) {
+      if (obj.method === 'del' && obj.returning && !obj.output) {
+        return obj.response
+      }
+      return super.processResponse(obj, runner)
+    }
+
+    // Stream rows straight from the statement iterator instead of buffering
+    // the whole result set. The source stream only pulls rows when Knex's
+    // stream asks for more, and destroying it releases the statement.
+    _stream(connection, obj, stream, options) {
+      if (!obj.sql) throw new Error('The query is empty')
+
+      const highWaterMark = (options && options.highWaterMark) || 16
+
+      return this._traceQuery(obj.sql, () => new Promise((resolver, rejecter) => {
+        const rows = connection.iterate(obj.sql, obj.bindings, obj.options)
+        const source = new Readable({
+          objectMode: true,
+          highWaterMark,
+          read() {
+            try {
+              let next = rows.next()
+              while (!next.done) {
+                if (!this.push(next.value)) return
+                next = rows.next()
+              }
+              this.push(null)
+            } catch (err) {
+              this.destroy(normalizeError(err))
+            }
+          },
+          destroy(err, callback) {
+            try {
+              rows.return()
+            } catch (returnErr) {
+              err = err || returnErr
+            }
+            callback(err)
+          }
+        })
+
+        source.on('error', (err) => {
+          rejecter(err)
+          stream.destroy(err)
+        })
+        // 'close' also fires when the consumer cancels the stream mid-way
+        source.on('close', resolver)
+        source.pipe(stream)
+      }))
+    }
+
+    async destroyRawConnection(connection) {
+      this.connections.delete(connection)
+      const queue = this._writeQueue()
+      if (queue) queue.release(connection)
+      return super.destroyRawConnection(connection)
+    }
+
+    // Back up the database through a pooled connection. The snapshot is taken
+    // synchronously, blocking everything until it is in memory, so the
+    // connection goes back to the pool before the pages are written and other
+    // queries are not held up while they are.
+    async backup(destination, options) {
+      const connection = await this.acquireConnection()
+      let pending
+      try {
+        pending = Promise.allSettled([connection.backup(destination, options)])
+      } finally {
+        await this.releaseConnection(connection)
+      }
+      const [outcome] = await pending
+      if (outcome.status === 'rejected') throw outcome.reason
+      return outcome.value
+    }
+
+    // Per-SQL execution counts and durations, most expensive first. Empty
+    // unless connection.queryStats is set.
+    getStats() {
+      return this.queryStats ? this.queryStats.snapshot() : []
+    }
+
+    resetStats() {
+      if (this.queryStats) this.queryStats.reset()
+    }
+
+    // Busy retries and write queue waits across every connection. All zero
+    // unless connection.busyRetry or connection.writeQueue is set.
+    getRetryStats() {
+      return (this.retryStats || new RetryStats()).snapshot()
+    }
+
+    resetRetryStats() {
+      if (this.retryStats) this.retryStats.reset()
+    }
+
+    // Prepared statement cache counters summed over every open connection
+    getStatementCacheStats() {
+      const totals = { connections: 0, size: 0, hits: 0, misses: 0, evictions: 0 }
+      for (const db of this.connections) {
+        const stats = db.getStatementCacheStats()
+        totals.connections++
+        totals.size += stats.size
+        totals.hits += stats.hits
+        totals.misses += stats.misses
+        totals.evictions += stats.evictions
+      }
+      return totals
+    }
   }
   
+  // Knex inlines bindings into error messages and toString() output, but its
+  // default escaper only knows strings and crashes on BigInt bindings
+  BunSqliteClient.prototype._escapeBinding = makeEscape({
+    escapeString(value) {
+      if (typeof value === 'bigint') {
+        return String(value)
+      }
+      return `'${value.replace(/'/g, "''")}'`
+    }
+  })
+  
   // Export both the client class and the adapter
   module.exports = BunSqliteClient
   module.exports.BunSqliteClient = BunSqliteClient
   module.exports.Database = Database
+  module.exports.NoopTracer = NoopTracer
+  module.exports.InMemoryTracer = InMemoryTracer
 } else {
   // Fallback: export just the adapter for manual module interception
   module.exports = Database
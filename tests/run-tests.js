@@ -20,6 +20,116 @@ const tests = [
     name: 'Parameter Type Tests',
     file: 'test-parameter-types.js',
     description: 'Tests all parameter types (Date, Buffer, undefined, etc.)'
+  },
+  {
+    name: 'Open Mode Tests',
+    file: 'test-open-modes.js',
+    description: 'Tests OPEN_READONLY / OPEN_READWRITE / OPEN_CREATE flags'
+  },
+  {
+    name: 'Statement Cache Tests',
+    file: 'test-statement-cache.js',
+    description: 'Tests prepared statement reuse, eviction and invalidation'
+  },
+  {
+    name: 'Streaming Tests',
+    file: 'test-streaming.js',
+    description: 'Tests row-by-row each() and Knex stream backpressure/cancellation'
+  },
+  {
+    name: 'Error Normalization Tests',
+    file: 'test-errors.js',
+    description: 'Tests sqlite3-compatible error codes, errno and messages'
+  },
+  {
+    name: 'PRAGMA Configuration Tests',
+    file: 'test-pragmas.js',
+    description: 'Tests connection.pragmas, presets and validation'
+  },
+  {
+    name: 'Date Revival Tests',
+    file: 'test-date-revival.js',
+    description: 'Tests opt-in Date revival for date-typed columns'
+  },
+  {
+    name: 'Safe Integer Tests',
+    file: 'test-safe-integers.js',
+    description: 'Tests 64-bit integers with safeIntegers and BigInt bindings'
+  },
+  {
+    name: 'Backup Tests',
+    file: 'test-backup.js',
+    description: 'Tests page-step backups and VACUUM INTO'
+  },
+  {
+    name: 'Snapshot Tests',
+    file: 'test-snapshots.js',
+    description: 'Tests serializeToBuffer() and restoring databases from buffers'
+  },
+  {
+    name: 'Serialize/Parallelize Tests',
+    file: 'test-serialize.js',
+    description: 'Tests node-sqlite3 operation ordering with serialize() and parallelize()'
+  },
+  {
+    name: 'Callback Mode Tests',
+    file: 'test-callback-mode.js',
+    description: 'Tests async and sync callback delivery'
+  },
+  {
+    name: 'Event Tests',
+    file: 'test-events.js',
+    description: 'Tests open/close/error/trace/profile events and configure()'
+  },
+  {
+    name: 'Query Stats',
+    file: 'test-query-stats.js',
+    description: 'Tests per-statement timings and the slow query log'
+  },
+  {
+    name: 'Tracing',
+    file: 'test-tracing.js',
+    description: 'Tests query and transaction spans'
+  },
+  {
+    name: 'Loadable Extensions',
+    file: 'test-extensions.js',
+    description: 'Tests loadExtension() and connection.extensions'
+  },
+  {
+    name: 'Prepared Statements',
+    file: 'test-statements.js',
+    description: 'Tests Statement binding, reset and the get() cursor'
+  },
+  {
+    name: 'Multi-Statement exec',
+    file: 'test-exec.js',
+    description: 'Tests exec() scripts, per-statement errors and transactions'
+  },
+  {
+    name: 'Read/Write Split',
+    file: 'test-read-write-split.js',
+    description: 'Reader connections for selects, one writer for everything else'
+  },
+  {
+    name: 'Busy Retry',
+    file: 'test-busy-retry.js',
+    description: 'SQLITE_BUSY retries with backoff and the in-process write queue'
+  },
+  {
+    name: 'Transaction Modes',
+    file: 'test-transaction-modes.js',
+    description: 'BEGIN DEFERRED / IMMEDIATE / EXCLUSIVE and concurrent writers'
+  },
+  {
+    name: 'Savepoints',
+    file: 'test-savepoints.js',
+    description: 'Nested transactions and sync transactions'
+  },
+  {
+    name: 'User-Defined Function Tests',
+    file: 'test-custom-functions.js',
+    description: 'Tests that custom SQL functions and collations fail up front'
   }
 ]
 
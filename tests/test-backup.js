@@ -0,0 +1,210 @@
+// Test script for online backups in knex-bun-sqlite
+// This verifies page-step backups, VACUUM INTO and backups of live databases
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing Online Backups in knex-bun-sqlite\n')
+
+const dbPath = path.join(__dirname, 'test-backup.db')
+const backupPath = path.join(__dirname, 'test-backup-copy.db')
+const vacuumPath = path.join(__dirname, 'test-backup-vacuum.db')
+const callbackPath = path.join(__dirname, 'test-backup-callback.db')
+const memoryPath = path.join(__dirname, 'test-backup-memory.db')
+
+function cleanup() {
+  for (const base of [dbPath, backupPath, vacuumPath, callbackPath, memoryPath]) {
+    for (const file of [base, `${base}-wal`, `${base}-shm`]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file)
+      }
+    }
+  }
+}
+
+function openBackup(filename) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename, readonly: true },
+    useNullAsDefault: true
+  })
+}
+
+async function countRows(filename, table) {
+  const copy = openBackup(filename)
+  try {
+    const [{ integrity_check }] = await copy.raw('PRAGMA integrity_check')
+    if (integrity_check !== 'ok') {
+      throw new Error(`Backup failed integrity check: ${integrity_check}`)
+    }
+    const { count } = await copy(table).count('* as count').first()
+    return count
+  } finally {
+    await copy.destroy()
+  }
+}
+
+async function runTests() {
+  cleanup()
+
+  const db = knex({
+    client: BunSqliteClient,
+    connection: { filename: dbPath, pragmas: 'wal-performance' },
+    useNullAsDefault: true
+  })
+
+  try {
+    await db.schema.createTable('logs', (table) => {
+      table.increments('id').primary()
+      table.string('message')
+    })
+    const rows = Array.from({ length: 2000 }, (_, i) => ({ message: `log entry ${i} `.repeat(10) }))
+    for (let i = 0; i < rows.length; i += 200) {
+      await db('logs').insert(rows.slice(i, i + 200))
+    }
+    console.log('✅ Seeded a WAL database with 2000 rows')
+
+    // Test 1: Page-step backup with progress
+    console.log('\n🔬 Test 1: Page-step backup with progress callbacks')
+    const steps = []
+    const result = await db.client.backup(backupPath, {
+      pagesPerStep: 10,
+      progress: (info) => steps.push(info)
+    })
+    if (result.strategy !== 'pages' || result.totalPages < 20) {
+      throw new Error(`Unexpected backup result: ${JSON.stringify(result)}`)
+    }
+    if (steps.length !== Math.ceil(result.totalPages / 10)) {
+      throw new Error(`Expected one progress call per step, got ${steps.length}`)
+    }
+    const last = steps[steps.length - 1]
+    if (last.remainingPages !== 0 || last.totalPages !== result.totalPages) {
+      throw new Error(`Last progress call should report completion: ${JSON.stringify(last)}`)
+    }
+    const backedUp = await countRows(backupPath, 'logs')
+    if (backedUp !== 2000) {
+      throw new Error(`Expected 2000 rows in the backup, got ${backedUp}`)
+    }
+    console.log(`✅ Backed up ${result.totalPages} pages in ${steps.length} steps`)
+
+    // Test 2: Queries keep running during a backup, which sees a snapshot
+    console.log('\n🔬 Test 2: Queries proceed while a backup runs')
+    let backupFinished = false
+    let progressAfterQuery = 0
+    let queryFinished = false
+    const backup = db.client.backup(backupPath, {
+      pagesPerStep: 1,
+      progress: () => {
+        if (queryFinished) progressAfterQuery++
+      }
+    }).then((info) => {
+      backupFinished = true
+      return info
+    })
+    // Wait for the backup to take its snapshot before writing
+    await new Promise((resolve) => setImmediate(resolve))
+    await db('logs').insert({ message: 'written during backup' })
+    const { count } = await db('logs').count('* as count').first()
+    queryFinished = true
+    if (backupFinished) {
+      throw new Error('Backup finished before concurrent queries could run')
+    }
+    await backup
+    if (progressAfterQuery === 0) {
+      throw new Error('Expected backup steps after the concurrent query completed')
+    }
+    const snapshotRows = await countRows(backupPath, 'logs')
+    if (count !== 2001 || snapshotRows !== 2000) {
+      throw new Error(`Expected live 2001 / backup 2000 rows, got ${count} / ${snapshotRows}`)
+    }
+    console.log(`✅ Insert and count ran mid-backup (${progressAfterQuery} steps afterwards), backup kept its snapshot`)
+
+    // Two backups to the same file each write their own temporary copy
+    const both = await Promise.all([
+      db.client.backup(backupPath, { pagesPerStep: 1 }),
+      db.client.backup(backupPath, { pagesPerStep: 1 })
+    ])
+    if (both.some((info) => info.totalPages !== both[0].totalPages) || await countRows(backupPath, 'logs') !== 2001) {
+      throw new Error('Concurrent backups left an incomplete copy')
+    }
+    console.log('✅ Concurrent backups to one destination did not collide')
+
+    // Test 3: VACUUM INTO
+    console.log('\n🔬 Test 3: VACUUM INTO strategy')
+    await db('logs').where('id', '>', 1000).del()
+    const vacuumSteps = []
+    const vacuumed = await db.client.backup(vacuumPath, {
+      strategy: 'vacuum',
+      progress: (info) => vacuumSteps.push(info)
+    })
+    if (vacuumed.strategy !== 'vacuum' || vacuumed.totalPages >= result.totalPages) {
+      throw new Error(`Expected a compacted copy, got ${JSON.stringify(vacuumed)}`)
+    }
+    if (vacuumSteps.length !== 1 || vacuumSteps[0].remainingPages !== 0) {
+      throw new Error(`Expected a single completion progress call, got ${JSON.stringify(vacuumSteps)}`)
+    }
+    const vacuumRows = await countRows(vacuumPath, 'logs')
+    if (vacuumRows !== 1000) {
+      throw new Error(`Expected 1000 rows in the vacuumed copy, got ${vacuumRows}`)
+    }
+    console.log(`✅ VACUUM INTO wrote a compacted ${vacuumed.totalPages} page copy`)
+
+    try {
+      await db.client.backup(vacuumPath, { strategy: 'vacuum' })
+      throw new Error('Expected VACUUM INTO an existing file to fail')
+    } catch (err) {
+      if (err.code !== 'SQLITE_ERROR') throw err
+      console.log(`✅ Existing destination rejected: ${err.message}`)
+    }
+
+    // Test 4: Invalid options
+    console.log('\n🔬 Test 4: Invalid backup options')
+    for (const options of [{ strategy: 'rsync' }, { pagesPerStep: 0 }]) {
+      try {
+        await db.client.backup(backupPath, options)
+        throw new Error(`Expected ${JSON.stringify(options)} to be rejected`)
+      } catch (err) {
+        if (!/Unknown backup strategy|pagesPerStep/.test(err.message)) throw err
+        console.log(`✅ Rejected: ${err.message}`)
+      }
+    }
+
+    // Test 5: Database-level callback API on an in-memory database
+    console.log('\n🔬 Test 5: Database.backup() callback on :memory:')
+    const memory = new Database(':memory:')
+    memory.exec("CREATE TABLE notes (body TEXT); INSERT INTO notes VALUES ('a'), ('b')")
+    const info = await new Promise((resolve, reject) => {
+      memory.backup(memoryPath, (err, info) => {
+        if (err) return reject(err)
+        resolve(info)
+      })
+    })
+    memory.close()
+    const memoryRows = await countRows(memoryPath, 'notes')
+    if (memoryRows !== 2) {
+      throw new Error(`Expected 2 rows in the in-memory backup, got ${memoryRows}`)
+    }
+    console.log(`✅ Callback received ${JSON.stringify(info)}`)
+
+    // No temporary files are left behind
+    const leftovers = fs.readdirSync(__dirname).filter((file) => file.includes('.backup-'))
+    if (leftovers.length > 0) {
+      throw new Error(`Temporary backup files left behind: ${leftovers.join(', ')}`)
+    }
+    console.log('\n✅ No temporary files left behind')
+
+    console.log('\n✨ All backup tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    await db.destroy()
+    cleanup()
+  }
+}
+
+runTests()
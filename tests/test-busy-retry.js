@@ -0,0 +1,261 @@
+// Test script for SQLITE_BUSY handling in knex-bun-sqlite
+// This verifies the busyRetry backoff policy, the in-process write queue and
+// their retry metrics
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const { Database: BunDatabase } = require('bun:sqlite')
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing Busy Retry and Write Queue in knex-bun-sqlite\n')
+
+const dbPath = path.join(__dirname, 'test-busy-retry.db')
+
+function cleanup() {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) {
+      fs.unlinkSync(dbPath + suffix)
+    }
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function run(db, sql) {
+  return new Promise((resolve) => db.run(sql, (err) => resolve(err)))
+}
+
+// Hold the write lock from a separate connection for `ms` milliseconds
+function lockFor(ms) {
+  const locker = new BunDatabase(dbPath)
+  locker.run('BEGIN IMMEDIATE')
+  return sleep(ms).then(() => {
+    locker.run('COMMIT')
+    locker.close()
+  })
+}
+
+function openKnex(connection) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename: dbPath, ...connection },
+    useNullAsDefault: true
+  })
+}
+
+async function runTests() {
+  cleanup()
+  const setup = new BunDatabase(dbPath)
+  setup.run('PRAGMA journal_mode = WAL')
+  setup.run('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)')
+  setup.close()
+
+  try {
+    // Test 1: Invalid policies
+    console.log('🔬 Test 1: Invalid busyRetry options')
+    for (const [busyRetry, pattern] of [
+      [{ maxAttempts: 0 }, /maxAttempts must be a positive integer/],
+      [{ initialDelay: -1 }, /initialDelay must be a non-negative number/],
+      ['often', /busyRetry must be true or an options object/]
+    ]) {
+      try {
+        new Database(dbPath, null, { busyRetry })
+        throw new Error(`Expected busyRetry ${JSON.stringify(busyRetry)} to be rejected`)
+      } catch (err) {
+        if (!pattern.test(err.message)) throw err
+        console.log(`✅ Rejected: ${err.message}`)
+      }
+    }
+
+    // 'sync' callbacks fire before a retry could wait, so busyRetry would never run
+    for (const open of [
+      () => new Database(dbPath, null, { busyRetry: true, callbackMode: 'sync' }),
+      () => openKnex({ busyRetry: { initialDelay: 10 }, callbackMode: 'sync' })
+    ]) {
+      try {
+        open()
+        throw new Error("Expected busyRetry with callbackMode 'sync' to be rejected")
+      } catch (err) {
+        if (!/cannot be combined with callbackMode 'sync'/.test(err.message)) throw err
+      }
+    }
+    console.log("✅ busyRetry is rejected with callbackMode 'sync' by Database and the client")
+
+    // Test 2: Retrying until the lock is released
+    console.log('\n🔬 Test 2: Retries with backoff')
+    let db = new Database(dbPath, null, { busyRetry: { initialDelay: 10, jitter: false } })
+    let unlocked = lockFor(50)
+    let err = await run(db, "INSERT INTO items (name) VALUES ('retried')")
+    await unlocked
+    if (err) throw err
+    let stats = db.getRetryStats()
+    if (stats.retries < 2 || stats.recovered !== 1 || stats.exhausted !== 0) {
+      throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`)
+    }
+    console.log(`✅ Insert succeeded after ${stats.retries} retries`)
+    db.close()
+
+    // Test 3: Giving up
+    console.log('\n🔬 Test 3: Attempt limit and deadline')
+    db = new Database(dbPath, null, { busyRetry: { maxAttempts: 3, initialDelay: 5 } })
+    unlocked = lockFor(200)
+    err = await run(db, "INSERT INTO items (name) VALUES ('never')")
+    stats = db.getRetryStats()
+    if (!err || err.code !== 'SQLITE_BUSY' || err.attempts !== 3 || stats.retries !== 2 || stats.exhausted !== 1) {
+      throw new Error(`Expected to give up after 3 attempts, got ${err && err.message}, ${JSON.stringify(stats)}`)
+    }
+    console.log(`✅ Gave up after ${err.attempts} attempts: ${err.message}`)
+    db.close()
+
+    db = new Database(dbPath, null, { busyRetry: { maxAttempts: 100, initialDelay: 10, deadline: 60 } })
+    const started = performance.now()
+    err = await run(db, "INSERT INTO items (name) VALUES ('never')")
+    const elapsed = performance.now() - started
+    await unlocked
+    if (!err || err.code !== 'SQLITE_BUSY' || err.attempts >= 100 || elapsed > 150) {
+      throw new Error(`Expected the deadline to stop retries, took ${elapsed.toFixed(0)}ms`)
+    }
+    console.log(`✅ Deadline stopped retries after ${err.attempts} attempts (${elapsed.toFixed(0)}ms)`)
+    db.close()
+
+    // Test 4: What is not retried
+    console.log('\n🔬 Test 4: No retries without a policy or inside transactions')
+    db = new Database(dbPath)
+    unlocked = lockFor(20)
+    err = await run(db, "INSERT INTO items (name) VALUES ('never')")
+    await unlocked
+    if (!err || err.code !== 'SQLITE_BUSY') {
+      throw new Error(`Expected an immediate SQLITE_BUSY, got ${err && err.message}`)
+    }
+    db.close()
+    console.log('✅ busyRetry is off by default')
+
+    db = new Database(dbPath, null, { busyRetry: true })
+    db.db.run('BEGIN')
+    db.db.query('SELECT * FROM items').all()
+    const writer = new BunDatabase(dbPath)
+    writer.run("INSERT INTO items (name) VALUES ('concurrent')")
+    writer.close()
+    err = await run(db, "INSERT INTO items (name) VALUES ('stale')")
+    db.db.run('ROLLBACK')
+    if (!err || err.extendedCode !== 'SQLITE_BUSY_SNAPSHOT' || db.getRetryStats().retries !== 0) {
+      throw new Error(`Expected SQLITE_BUSY_SNAPSHOT without retries, got ${err && err.message}`)
+    }
+    db.close()
+    console.log(`✅ Not retried inside a transaction: ${err.extendedCode}`)
+
+    // Test 5: exec() resumes at the statement that was busy
+    console.log('\n🔬 Test 5: exec() retries')
+    db = new Database(dbPath, null, { busyRetry: { initialDelay: 10 } })
+    const traces = []
+    db.on('trace', (sql) => traces.push(sql))
+    unlocked = lockFor(30)
+    err = await new Promise((resolve) => {
+      db.exec("SELECT 1; INSERT INTO items (name) VALUES ('script')", resolve)
+    })
+    await unlocked
+    if (err) throw err
+    const selects = traces.filter((sql) => sql === 'SELECT 1').length
+    const inserts = traces.filter((sql) => sql.startsWith('INSERT')).length
+    if (selects !== 1 || inserts < 2) {
+      throw new Error(`Expected the retry to resume at the insert, got ${traces.join(' | ')}`)
+    }
+    db.close()
+    console.log(`✅ Completed statements ran once, the busy insert ran ${inserts} times`)
+
+    // Test 6: busyRetry through Knex
+    console.log('\n🔬 Test 6: connection.busyRetry')
+    let client = openKnex({ busyRetry: { initialDelay: 10 } })
+    try {
+      unlocked = lockFor(30)
+      await client('items').insert({ name: 'knex' })
+      await unlocked
+      stats = client.client.getRetryStats()
+      if (stats.retries < 1 || stats.recovered !== 1) {
+        throw new Error(`Unexpected client stats: ${JSON.stringify(stats)}`)
+      }
+      console.log(`✅ Knex insert recovered after ${stats.retries} retries`)
+      client.client.resetRetryStats()
+      if (client.client.getRetryStats().retries !== 0) {
+        throw new Error('resetRetryStats() did not clear the counters')
+      }
+      console.log('✅ resetRetryStats() clears the counters')
+    } finally {
+      await client.destroy()
+    }
+
+    // Test 7: The write queue
+    console.log('\n🔬 Test 7: connection.writeQueue')
+    const writeWhileInTransaction = async (first, second) => {
+      let secondResult
+      await first.transaction(async (trx) => {
+        await trx('items').insert({ name: 'in transaction' })
+        secondResult = second('items').insert({ name: 'queued' }).then(() => null, (err) => err)
+        await sleep(50)
+      })
+      return secondResult
+    }
+
+    let first = openKnex({})
+    let second = openKnex({})
+    try {
+      err = await writeWhileInTransaction(first, second)
+      if (!err || err.code !== 'SQLITE_BUSY') {
+        throw new Error(`Expected SQLITE_BUSY without the queue, got ${err && err.message}`)
+      }
+      console.log('✅ Without the queue the second writer fails')
+    } finally {
+      await Promise.all([first.destroy(), second.destroy()])
+    }
+
+    first = openKnex({ writeQueue: true })
+    second = openKnex({ writeQueue: true })
+    try {
+      err = await writeWhileInTransaction(first, second)
+      if (err) throw err
+      stats = second.client.getRetryStats()
+      if (stats.queued !== 1 || stats.queueWaitMs < 40) {
+        throw new Error(`Unexpected queue stats: ${JSON.stringify(stats)}`)
+      }
+      console.log(`✅ Second writer waited ${stats.queueWaitMs.toFixed(0)}ms for the transaction to commit`)
+
+      // Reads never wait for the queue
+      await first.transaction(async (trx) => {
+        await trx('items').insert({ name: 'in transaction' })
+        await second('items').count('* as count')
+      })
+      if (second.client.getRetryStats().queued !== 1) {
+        throw new Error('Reads should not wait for the write queue')
+      }
+      console.log('✅ Reads do not wait for the queue')
+    } finally {
+      await Promise.all([first.destroy(), second.destroy()])
+    }
+
+    first = openKnex({ writeQueue: true })
+    second = openKnex({ writeQueue: { timeout: 20 } })
+    try {
+      err = await writeWhileInTransaction(first, second)
+      if (!err || err.code !== 'SQLITE_BUSY' || !/waited 20ms for the write queue/.test(err.message)) {
+        throw new Error(`Expected a queue timeout, got ${err && err.message}`)
+      }
+      console.log(`✅ ${err.message}`)
+      await second('items').insert({ name: 'after timeout' })
+      console.log('✅ The queue is free again after the transaction')
+    } finally {
+      await Promise.all([first.destroy(), second.destroy()])
+    }
+
+    console.log('\n✨ All busy retry tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    cleanup()
+  }
+}
+
+runTests()
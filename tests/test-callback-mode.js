@@ -0,0 +1,162 @@
+// Test script for callbackMode in knex-bun-sqlite
+// This verifies when callbacks fire in 'async' (default) and 'sync' mode
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+
+console.log('🧪 Testing callbackMode in knex-bun-sqlite\n')
+
+function openDatabase(callbackMode) {
+  const db = new Database(':memory:', null, { callbackMode })
+  db.exec("CREATE TABLE t (v TEXT UNIQUE); INSERT INTO t VALUES ('a')")
+  return db
+}
+
+// Every callback-taking method, once succeeding and once failing. Each case
+// calls done(err) from the callback under test.
+const cases = [
+  ['run', (db, ok, done) => db.run(ok ? "INSERT INTO t VALUES ('b')" : "INSERT INTO t VALUES ('a')", done)],
+  ['get', (db, ok, done) => db.get(ok ? 'SELECT v FROM t' : 'SELECT * FROM missing', done)],
+  ['all', (db, ok, done) => db.all(ok ? 'SELECT v FROM t' : 'SELECT * FROM missing', done)],
+  ['each', (db, ok, done) => db.each(ok ? 'SELECT v FROM t' : 'SELECT * FROM missing', () => {}, done)],
+  ['exec', (db, ok, done) => db.exec(ok ? 'SELECT 1' : 'SELEC 1', done)],
+  ['prepare', (db, ok, done) => db.prepare(ok ? 'SELECT v FROM t' : 'SELECT * FROM missing', done)],
+  ['Statement.run', (db, ok, done) => db.prepare('INSERT INTO t VALUES (?)').run(ok ? 'c' : 'a', done)],
+  ['Statement.get', (db, ok, done) => db.prepare('SELECT v FROM t WHERE v = ?').get(ok ? 'a' : 1n << 64n, done)],
+  ['Statement.all', (db, ok, done) => db.prepare('SELECT v FROM t WHERE v = ?').all(ok ? 'a' : 1n << 64n, done)],
+  ['Statement.each', (db, ok, done) => db.prepare('SELECT v FROM t WHERE v = ?').each(ok ? 'a' : 1n << 64n, () => {}, done)],
+  ['Statement.reset', (db, ok, done) => db.prepare('SELECT v FROM t').reset(done)],
+  ['Statement.finalize', (db, ok, done) => db.prepare('SELECT v FROM t').finalize(done)],
+  ['close', (db, ok, done) => db.close(done)]
+]
+
+async function checkMode(callbackMode) {
+  for (const [name, call] of cases) {
+    for (const ok of [true, false]) {
+      // reset/finalize/close have no failing variant
+      if (!ok && /reset|finalize|close/.test(name)) continue
+
+      const db = openDatabase(callbackMode)
+      let fired = false
+      let error
+      const settled = new Promise((resolve) => {
+        call(db, ok, (err) => {
+          fired = true
+          error = err
+          resolve()
+        })
+      })
+      const firedBeforeReturn = fired
+      await settled
+
+      if (firedBeforeReturn !== (callbackMode === 'sync')) {
+        throw new Error(`${callbackMode} ${name} (${ok ? 'success' : 'error'}): callback fired ${firedBeforeReturn ? 'before' : 'after'} returning`)
+      }
+      if (ok === Boolean(error)) {
+        throw new Error(`${callbackMode} ${name}: unexpected ${error ? error.message : 'success'}`)
+      }
+      if (name !== 'close') db.close()
+    }
+  }
+  console.log(`✅ ${callbackMode}: every method ${callbackMode === 'sync' ? 'calls back before returning' : 'calls back after returning'}, errors included`)
+}
+
+async function runTests() {
+  try {
+    // Test 1: Default mode
+    console.log('🔬 Test 1: Default callbackMode')
+    const db = new Database(':memory:')
+    if (db.callbackMode !== 'async') {
+      throw new Error(`Expected 'async' by default, got ${db.callbackMode}`)
+    }
+    db.close()
+    console.log('✅ Defaults to async')
+
+    // Test 2: Timing of every method in both modes
+    console.log('\n🔬 Test 2: Callback timing per method')
+    await checkMode('async')
+    await checkMode('sync')
+
+    // Test 3: The constructor callback is asynchronous in both modes
+    console.log('\n🔬 Test 3: Constructor callback')
+    for (const callbackMode of ['async', 'sync']) {
+      let opened = false
+      const waiting = new Promise((resolve) => {
+        new Database(':memory:', null, { callbackMode }, () => {
+          opened = true
+          resolve()
+        })
+      })
+      if (opened) {
+        throw new Error(`${callbackMode}: constructor called back before returning`)
+      }
+      await waiting
+    }
+    console.log('✅ Constructor calls back after returning in both modes')
+
+    // Test 4: Deep callback chains do not grow the stack in async mode
+    console.log('\n🔬 Test 4: Deep callback chains')
+    const chained = new Database(':memory:')
+    const depth = await new Promise((resolve, reject) => {
+      let calls = 0
+      const next = (err) => {
+        if (err) return reject(err)
+        if (++calls === 20000) return resolve(calls)
+        chained.get('SELECT 1', next)
+      }
+      next()
+    })
+    chained.close()
+    console.log(`✅ ${depth} nested callbacks without a stack overflow`)
+
+    // Test 5: Knex in both modes, and unknown modes
+    console.log('\n🔬 Test 5: Knex connection.callbackMode')
+    for (const callbackMode of ['async', 'sync']) {
+      const db = knex({
+        client: BunSqliteClient,
+        connection: { filename: ':memory:', callbackMode },
+        useNullAsDefault: true
+      })
+      try {
+        await db.schema.createTable('items', (table) => {
+          table.increments('id').primary()
+          table.string('name')
+        })
+        await db.transaction(async (trx) => {
+          await trx('items').insert([{ name: 'a' }, { name: 'b' }])
+        })
+        const rows = await db('items').orderBy('id').pluck('name')
+        if (rows.join() !== 'a,b') {
+          throw new Error(`${callbackMode}: unexpected rows ${rows.join()}`)
+        }
+        console.log(`✅ Knex works with callbackMode '${callbackMode}'`)
+      } finally {
+        await db.destroy()
+      }
+    }
+
+    const badDb = knex({
+      client: BunSqliteClient,
+      connection: { filename: ':memory:', callbackMode: 'eventually' },
+      useNullAsDefault: true
+    })
+    try {
+      await badDb.raw('SELECT 1')
+      throw new Error('Expected unknown callbackMode to be rejected')
+    } catch (err) {
+      if (!/Unknown callbackMode "eventually"/.test(err.message)) throw err
+      console.log(`✅ Rejected: ${err.message}`)
+    } finally {
+      await badDb.destroy()
+    }
+
+    console.log('\n✨ All callbackMode tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  }
+}
+
+runTests()
@@ -0,0 +1,90 @@
+// Test script for user-defined SQL functions and collations in knex-bun-sqlite
+// bun:sqlite cannot define them, so this verifies that every entry point fails
+// up front with an explanation instead of "no such function" or a stuck pool
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+
+console.log('🧪 Testing User-Defined Function and Collation Rejection in knex-bun-sqlite\n')
+
+function expectThrow(fn, message) {
+  try {
+    fn()
+  } catch (err) {
+    if (err.message !== message) {
+      throw new Error(`Expected "${message}", got "${err.message}"`)
+    }
+    console.log(`✅ Rejected: ${err.message}`)
+    return
+  }
+  throw new Error(`Expected "${message}" to be thrown`)
+}
+
+// The first query must fail with message, well before Knex's acquire timeout
+async function expectQueryRejected(connection, message) {
+  const db = knex({
+    client: BunSqliteClient,
+    connection,
+    useNullAsDefault: true,
+    // Knex warns about each failed acquire before rejecting the query
+    log: { warn: () => {} }
+  })
+  let timer
+  try {
+    const hung = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(new Error('The query waited for a connection')), 2000)
+    })
+    const err = await Promise.race([db.raw('SELECT 1').then(() => null, (err) => err), hung])
+    if (!err || err.message !== message) {
+      throw new Error(`Expected the first query to fail with "${message}", got ${err && err.message}`)
+    }
+    console.log(`✅ First query rejected: ${err.message}`)
+  } finally {
+    clearTimeout(timer)
+    await db.destroy()
+  }
+}
+
+async function runTests() {
+  try {
+    // Test 1: Database methods
+    console.log('🔬 Test 1: registerFunction(), registerAggregate() and registerCollation()')
+    const db = new Database(':memory:')
+    try {
+      expectThrow(
+        () => db.registerFunction('double', (x) => x * 2),
+        'registerFunction("double") is not supported by bun:sqlite, which cannot define SQL functions'
+      )
+      expectThrow(
+        () => db.registerAggregate('total', { start: 0, step: (sum, x) => sum + x }),
+        'registerAggregate("total") is not supported by bun:sqlite, which cannot define SQL functions'
+      )
+      expectThrow(
+        () => db.registerCollation('reverse', (a, b) => b.localeCompare(a)),
+        'registerCollation("reverse") is not supported by bun:sqlite, which cannot define collations'
+      )
+    } finally {
+      db.close()
+    }
+
+    // Test 2: Knex connection settings
+    console.log('\n🔬 Test 2: connection.functions and connection.collations')
+    await expectQueryRejected(
+      { filename: ':memory:', functions: { double: (x) => x * 2 } },
+      'connection.functions is not supported by bun:sqlite, which cannot define SQL functions'
+    )
+    await expectQueryRejected(
+      { filename: ':memory:', collations: { reverse: (a, b) => b.localeCompare(a) } },
+      'connection.collations is not supported by bun:sqlite, which cannot define collations'
+    )
+
+    console.log('\n✨ All user-defined function and collation tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  }
+}
+
+runTests()
@@ -0,0 +1,139 @@
+// Test script for opt-in Date revival in knex-bun-sqlite
+// This verifies that date-typed columns come back as Date objects when enabled
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+
+console.log('🧪 Testing Date Revival in knex-bun-sqlite\n')
+
+const testDate = new Date('2025-06-15T10:30:45.678Z')
+
+function createDb(reviveDates) {
+  return knex({
+    client: BunSqliteClient,
+    connection: {
+      filename: ':memory:',
+      reviveDates
+    },
+    useNullAsDefault: true
+  })
+}
+
+async function setup(db) {
+  await db.schema.createTable('events', (table) => {
+    table.increments('id').primary()
+    table.string('name')
+    table.datetime('event_date')
+    table.timestamp('created_at').defaultTo(db.fn.now())
+    table.date('day')
+    table.integer('count')
+  })
+  await db('events').insert([
+    { name: 'Launch', event_date: testDate, day: testDate, count: 1 },
+    { name: 'Empty', event_date: null, day: null, count: 2 }
+  ])
+}
+
+function assertDate(value, expected, label) {
+  if (!(value instanceof Date)) {
+    throw new Error(`${label}: expected a Date, got ${typeof value} ${value}`)
+  }
+  if (expected && value.getTime() !== expected.getTime()) {
+    throw new Error(`${label}: expected ${expected.toISOString()}, got ${value.toISOString()}`)
+  }
+  console.log(`✅ ${label}: ${value.toISOString()}`)
+}
+
+async function runTests() {
+  const plain = createDb(undefined)
+  const reviving = createDb(true)
+
+  try {
+    await setup(plain)
+    await setup(reviving)
+
+    // Test 1: Default behavior is unchanged
+    console.log('🔬 Test 1: Default keeps sqlite3 behavior')
+    const plainRow = await plain('events').where('name', 'Launch').first()
+    if (typeof plainRow.event_date !== 'number') {
+      throw new Error(`Expected a number by default, got ${typeof plainRow.event_date}`)
+    }
+    console.log(`✅ event_date is a number: ${plainRow.event_date}`)
+
+    // Test 2: reviveDates converts date, datetime and timestamp columns
+    console.log('\n🔬 Test 2: reviveDates: true')
+    const row = await reviving('events').where('name', 'Launch').first()
+    assertDate(row.event_date, testDate, 'datetime column')
+    assertDate(row.day, testDate, 'date column')
+    assertDate(row.created_at, null, 'timestamp column (CURRENT_TIMESTAMP text)')
+    if (Math.abs(row.created_at.getTime() - Date.now()) > 60000) {
+      throw new Error('CURRENT_TIMESTAMP was not parsed as UTC')
+    }
+    if (row.count !== 1 || row.name !== 'Launch') {
+      throw new Error('Non-date columns were modified')
+    }
+    console.log('✅ Non-date columns untouched')
+
+    // Test 3: NULL stays NULL
+    console.log('\n🔬 Test 3: NULL dates')
+    const empty = await reviving('events').where('name', 'Empty').first()
+    if (empty.event_date !== null || empty.day !== null) {
+      throw new Error('NULL dates were converted')
+    }
+    console.log('✅ NULL dates stay null')
+
+    // Test 4: Aliased columns keep their declared type, expressions do not
+    console.log('\n🔬 Test 4: Aliases and expressions')
+    const aliased = await reviving('events')
+      .select('event_date as when')
+      .select(reviving.raw('event_date + 0 as shifted'))
+      .where('name', 'Launch')
+      .first()
+    assertDate(aliased.when, testDate, 'aliased column')
+    if (typeof aliased.shifted !== 'number') {
+      throw new Error('Expression without a declared type was converted')
+    }
+    console.log('✅ Expression column left as a number')
+
+    // Test 5: Per-query override
+    console.log('\n🔬 Test 5: Per-query options')
+    const raw = await reviving('events').options({ reviveDates: false }).where('name', 'Launch').first()
+    if (typeof raw.event_date !== 'number') {
+      throw new Error('Per-query reviveDates: false was ignored')
+    }
+    console.log('✅ options({ reviveDates: false }) returns numbers')
+    const revived = await plain('events').options({ reviveDates: true }).where('name', 'Launch').first()
+    assertDate(revived.event_date, testDate, 'options({ reviveDates: true })')
+
+    // Test 6: Streams revive dates too
+    console.log('\n🔬 Test 6: Streaming')
+    for await (const streamed of reviving('events').where('name', 'Launch').stream()) {
+      assertDate(streamed.event_date, testDate, 'streamed row')
+    }
+
+    // Test 7: Adapter-level option
+    console.log('\n🔬 Test 7: Database adapter option')
+    const adapter = new Database(':memory:', null, { reviveDates: true })
+    adapter.exec('CREATE TABLE t (at DATETIME)')
+    adapter.run('INSERT INTO t VALUES (?)', [testDate])
+    assertDate(adapter.get('SELECT at FROM t').at, testDate, 'Database.get')
+    assertDate(adapter.all('SELECT at FROM t')[0].at, testDate, 'Database.all')
+    const stmt = adapter.prepare('SELECT at FROM t')
+    assertDate(stmt.get().at, testDate, 'Statement.get')
+    stmt.finalize()
+    adapter.close()
+
+    console.log('\n✨ All date revival tests passed! ✨\n')
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    await plain.destroy()
+    await reviving.destroy()
+  }
+}
+
+runTests()
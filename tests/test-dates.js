@@ -121,6 +121,79 @@ async function runTests() {
     await db('events').insert(batchData)
     console.log('✅ Batch insert with Date objects successful')
 
+    // Test 8: Configurable date storage formats
+    console.log('\n🔬 Test 8: dateFormat options')
+    const formatDate = new Date('2025-03-15T14:30:45.000Z')
+    const formats = [
+      { dateFormat: 'ms', stored: formatDate.valueOf(), sqlExpr: "datetime(event_date / 1000, 'unixepoch')" },
+      { dateFormat: 'unix-seconds', stored: formatDate.valueOf() / 1000, sqlExpr: "datetime(event_date, 'unixepoch')" },
+      { dateFormat: 'iso8601', stored: '2025-03-15T14:30:45.000Z', sqlExpr: 'datetime(event_date)' },
+      { dateFormat: 'julian', stored: 2460750.1046875, sqlExpr: 'datetime(event_date)' }
+    ]
+    
+    for (const format of formats) {
+      const formatDb = knex({
+        client: BunSqliteClient,
+        connection: {
+          filename: ':memory:',
+          dateFormat: format.dateFormat,
+          reviveDates: true
+        },
+        useNullAsDefault: true
+      })
+      
+      try {
+        await formatDb.schema.createTable('events', (table) => {
+          table.increments('id').primary()
+          table.datetime('event_date')
+        })
+        await formatDb('events').insert({ event_date: formatDate })
+        
+        // Stored representation
+        const [stored] = await formatDb('events').options({ reviveDates: false }).pluck('event_date')
+        if (stored !== format.stored) {
+          throw new Error(`${format.dateFormat}: expected stored ${format.stored}, got ${stored}`)
+        }
+        
+        // Compatible with SQLite's own date functions
+        const [{ sqlite }] = await formatDb.raw(`SELECT ${format.sqlExpr} AS sqlite FROM events`)
+        if (sqlite !== '2025-03-15 14:30:45') {
+          throw new Error(`${format.dateFormat}: datetime() returned ${sqlite}`)
+        }
+        
+        // Date parameters in WHERE clauses use the same format
+        const matches = await formatDb('events').where('event_date', formatDate)
+        if (matches.length !== 1) {
+          throw new Error(`${format.dateFormat}: WHERE with a Date parameter matched ${matches.length} rows`)
+        }
+        
+        // Read-side conversion
+        const revived = matches[0].event_date
+        if (!(revived instanceof Date) || revived.getTime() !== formatDate.getTime()) {
+          throw new Error(`${format.dateFormat}: revived ${revived}`)
+        }
+        console.log(`✅ ${format.dateFormat}: stored ${JSON.stringify(stored)}, datetime() = ${sqlite}, revived ${revived.toISOString()}`)
+      } finally {
+        await formatDb.destroy()
+      }
+    }
+    
+    // Unknown formats are rejected
+    const badDb = knex({
+      client: BunSqliteClient,
+      connection: { filename: ':memory:', dateFormat: 'rfc2822' },
+      useNullAsDefault: true
+    })
+    try {
+      await badDb.raw('SELECT 1')
+      throw new Error('Expected unknown dateFormat to be rejected')
+    } catch (err) {
+      if (!/Unknown dateFormat "rfc2822"/.test(err.message)) throw err
+      console.log(`✅ Rejected: ${err.message}`)
+    } finally {
+      await badDb.destroy()
+    }
+
     // Summary
     const totalEvents = await db('events').count('* as count').first()
     console.log(`\n📊 Summary: ${totalEvents.count} total events in database`)
@@ -0,0 +1,215 @@
+// Test script for sqlite3-compatible errors in knex-bun-sqlite
+// This verifies that bun:sqlite errors carry node-sqlite3 style code/errno/message
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+
+console.log('🧪 Testing Error Normalization in knex-bun-sqlite\n')
+
+const db = knex({
+  client: BunSqliteClient,
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+function expectError(err, code, errno, extendedCode, messagePrefix) {
+  if (!err) {
+    throw new Error(`Expected ${extendedCode} error, got none`)
+  }
+  if (err.code !== code || err.errno !== errno) {
+    throw new Error(`Expected ${code}/${errno}, got ${err.code}/${err.errno}`)
+  }
+  if (err.extendedCode !== extendedCode) {
+    throw new Error(`Expected extendedCode ${extendedCode}, got ${err.extendedCode}`)
+  }
+  if (!err.message.includes(messagePrefix)) {
+    throw new Error(`Expected message containing "${messagePrefix}", got "${err.message}"`)
+  }
+  console.log(`✅ ${err.code} (${err.extendedCode}): ${err.message}`)
+}
+
+function runCallback(adapter, method, sql, params) {
+  return new Promise((resolve) => {
+    adapter[method](sql, params, (err) => resolve(err))
+  })
+}
+
+async function runTests() {
+  try {
+    const adapter = new Database(':memory:')
+    adapter.exec(`
+      PRAGMA foreign_keys = ON;
+      CREATE TABLE parents (id INTEGER PRIMARY KEY);
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY,
+        email TEXT UNIQUE,
+        name TEXT NOT NULL,
+        parent_id INTEGER REFERENCES parents(id),
+        age INTEGER CHECK (age >= 0)
+      );
+      INSERT INTO users (email, name) VALUES ('a@example.com', 'Alice');
+    `)
+
+    // Test 1: Constraint errors through Database callbacks
+    console.log('🔬 Test 1: Constraint violations')
+    const insert = 'INSERT INTO users (email, name, parent_id, age) VALUES (?, ?, ?, ?)'
+    expectError(
+      await runCallback(adapter, 'run', insert, ['a@example.com', 'Again', null, 1]),
+      'SQLITE_CONSTRAINT', 19, 'SQLITE_CONSTRAINT_UNIQUE',
+      'SQLITE_CONSTRAINT: UNIQUE constraint failed: users.email'
+    )
+    expectError(
+      await runCallback(adapter, 'run', insert, ['b@example.com', null, null, 1]),
+      'SQLITE_CONSTRAINT', 19, 'SQLITE_CONSTRAINT_NOTNULL',
+      'SQLITE_CONSTRAINT: NOT NULL constraint failed: users.name'
+    )
+    expectError(
+      await runCallback(adapter, 'run', insert, ['c@example.com', 'Carol', 42, 1]),
+      'SQLITE_CONSTRAINT', 19, 'SQLITE_CONSTRAINT_FOREIGNKEY',
+      'SQLITE_CONSTRAINT: FOREIGN KEY constraint failed'
+    )
+    expectError(
+      await runCallback(adapter, 'run', insert, ['d@example.com', 'Dave', null, -1]),
+      'SQLITE_CONSTRAINT', 19, 'SQLITE_CONSTRAINT_CHECK',
+      'SQLITE_CONSTRAINT: CHECK constraint failed'
+    )
+
+    // Test 2: Syntax and missing table errors in every read path
+    console.log('\n🔬 Test 2: SQLITE_ERROR from get/all/each/exec/prepare')
+    for (const method of ['get', 'all']) {
+      expectError(
+        await runCallback(adapter, method, 'SELECT * FROM missing', []),
+        'SQLITE_ERROR', 1, 'SQLITE_ERROR', 'SQLITE_ERROR: no such table: missing'
+      )
+    }
+    expectError(
+      await new Promise((resolve) => {
+        adapter.each('SELEC 1', () => {}, (err) => resolve(err))
+      }),
+      'SQLITE_ERROR', 1, 'SQLITE_ERROR', 'SQLITE_ERROR: near "SELEC": syntax error'
+    )
+    expectError(
+      await new Promise((resolve) => adapter.exec('DROP TABLE missing', resolve)),
+      'SQLITE_ERROR', 1, 'SQLITE_ERROR', 'SQLITE_ERROR: no such table: missing'
+    )
+    expectError(
+      await new Promise((resolve) => adapter.prepare('SELECT * FROM missing', resolve)),
+      'SQLITE_ERROR', 1, 'SQLITE_ERROR', 'SQLITE_ERROR: no such table: missing'
+    )
+
+    // Test 3: Statement methods
+    console.log('\n🔬 Test 3: Statement errors')
+    const stmt = adapter.prepare('INSERT INTO users (email, name) VALUES (?, ?)')
+    expectError(
+      await new Promise((resolve) => stmt.run('a@example.com', 'Again', resolve)),
+      'SQLITE_CONSTRAINT', 19, 'SQLITE_CONSTRAINT_UNIQUE',
+      'SQLITE_CONSTRAINT: UNIQUE constraint failed: users.email'
+    )
+    stmt.finalize()
+
+    // Test 4: Like node-sqlite3, extra parameters are out of range and missing ones bind NULL
+    console.log('\n🔬 Test 4: Parameter counts')
+    for (const method of ['run', 'get', 'all']) {
+      expectError(
+        await runCallback(adapter, method, 'SELECT * FROM users WHERE id = ?', [1, 2]),
+        'SQLITE_RANGE', 25, 'SQLITE_RANGE', 'SQLITE_RANGE: column index out of range'
+      )
+    }
+    expectError(
+      await new Promise((resolve) => {
+        adapter.each('SELECT * FROM users WHERE id = ?', [1, 2], () => {}, (err) => resolve(err))
+      }),
+      'SQLITE_RANGE', 25, 'SQLITE_RANGE', 'SQLITE_RANGE: column index out of range'
+    )
+    const unmatched = await new Promise((resolve, reject) => {
+      adapter.all('SELECT ? AS a, ? AS b', [1], (err, rows) => (err ? reject(err) : resolve(rows)))
+    })
+    if (unmatched[0].a !== 1 || unmatched[0].b !== null) {
+      throw new Error(`Expected the missing parameter to be NULL, got ${JSON.stringify(unmatched)}`)
+    }
+    console.log('✅ Missing parameters are bound as NULL')
+
+    // Test 5: Errors thrown without a callback are normalized too
+    console.log('\n🔬 Test 5: Thrown errors')
+    try {
+      adapter.all('SELECT * FROM missing')
+      throw new Error('Expected all() to throw')
+    } catch (err) {
+      expectError(err, 'SQLITE_ERROR', 1, 'SQLITE_ERROR', 'SQLITE_ERROR: no such table')
+    }
+    adapter.close()
+
+    // Test 6: Opening a missing read-only file
+    console.log('\n🔬 Test 6: SQLITE_CANTOPEN')
+    expectError(
+      await new Promise((resolve) => {
+        new Database('/nonexistent/dir/db.sqlite', Database.OPEN_READONLY, resolve)
+      }),
+      'SQLITE_CANTOPEN', 14, 'SQLITE_CANTOPEN', 'SQLITE_CANTOPEN: unable to open database file'
+    )
+
+    // Test 7: Knex rejects with the normalized error
+    console.log('\n🔬 Test 7: Knex errors')
+    await db.schema.createTable('accounts', (table) => {
+      table.increments('id').primary()
+      table.string('email').unique()
+    })
+    await db('accounts').insert({ email: 'a@example.com' })
+    try {
+      await db('accounts').insert({ email: 'a@example.com' })
+      throw new Error('Expected insert to fail')
+    } catch (err) {
+      expectError(
+        err, 'SQLITE_CONSTRAINT', 19, 'SQLITE_CONSTRAINT_UNIQUE',
+        'SQLITE_CONSTRAINT: UNIQUE constraint failed: accounts.email'
+      )
+    }
+
+    // The whole message matches node-sqlite3's, Knex's query prefix included
+    await db.schema.createTable('test_data', (table) => {
+      table.integer('id').primary()
+      table.string('name')
+    })
+    await db('test_data').insert({ id: 1, name: 'First' })
+    for (const [query, expected] of [
+      [
+        db('test_data').insert({ id: 1, name: 'Duplicate' }),
+        "insert into `test_data` (`id`, `name`) values (1, 'Duplicate') - SQLITE_CONSTRAINT: UNIQUE constraint failed: test_data.id"
+      ],
+      [db('missing_table').select('*'), 'select * from `missing_table` - SQLITE_ERROR: no such table: missing_table'],
+      [db.raw('SELEC 1'), 'SELEC 1 - SQLITE_ERROR: near "SELEC": syntax error']
+    ]) {
+      const err = await query.then(() => null, (err) => err)
+      if (!err || err.message !== expected) {
+        throw new Error(`Expected "${expected}", got "${err && err.message}"`)
+      }
+    }
+    console.log('✅ Knex error messages match node-sqlite3 exactly')
+    const primaryKeyErr = await db('test_data').insert({ id: 1 }).then(() => null, (err) => err)
+    if (!primaryKeyErr || primaryKeyErr.extendedCode !== 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+      throw new Error(`Expected SQLITE_CONSTRAINT_PRIMARYKEY, got ${primaryKeyErr && primaryKeyErr.extendedCode}`)
+    }
+    console.log('✅ Primary key violations keep the extended code SQLITE_CONSTRAINT_PRIMARYKEY')
+
+    // Test 8: Result code constants
+    console.log('\n🔬 Test 8: Result code constants')
+    if (Database.OK !== 0 || Database.CONSTRAINT !== 19 || Database.BUSY !== 5) {
+      throw new Error('Result code constants do not match sqlite3')
+    }
+    console.log('✅ Database.OK / BUSY / CONSTRAINT match sqlite3')
+
+    console.log('\n✨ All error normalization tests passed! ✨\n')
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    await db.destroy()
+  }
+}
+
+runTests()
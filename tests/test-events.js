@@ -0,0 +1,161 @@
+// Test script for node-sqlite3 events in knex-bun-sqlite
+// This verifies open/close/error/trace/profile events and configure('busyTimeout')
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const { EventEmitter } = require('events')
+
+console.log('🧪 Testing Database Events in knex-bun-sqlite\n')
+
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 10))
+}
+
+async function runTests() {
+  try {
+    // Test 1: open and close follow their callbacks
+    console.log('🔬 Test 1: open and close events')
+    const log = []
+    const db = new Database(':memory:', () => log.push('open callback'))
+    if (!(db instanceof EventEmitter)) {
+      throw new Error('Database is not an EventEmitter')
+    }
+    db.on('open', () => log.push('open event'))
+    db.on('close', () => log.push('close event'))
+    await settle()
+    db.close(() => log.push('close callback'))
+    await settle()
+    if (log.join(', ') !== 'open callback, open event, close callback, close event') {
+      throw new Error(`Unexpected event order: ${log.join(', ')}`)
+    }
+    console.log(`✅ ${log.join(' → ')}`)
+
+    // Test 2: trace and profile payloads
+    console.log('\n🔬 Test 2: trace and profile events')
+    const traced = new Database(':memory:')
+    traced.exec('CREATE TABLE t (n INTEGER)')
+    const traces = []
+    const profiles = []
+    traced.on('trace', (sql) => traces.push(sql))
+    traced.on('profile', (sql, ms) => profiles.push([sql, ms]))
+
+    const insert = 'INSERT INTO t VALUES (?)'
+    const select = 'SELECT n FROM t ORDER BY n'
+    const slow = `WITH RECURSIVE seq(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 300000)
+      SELECT COUNT(*) AS count FROM seq`
+    traced.run(insert, [1])
+    traced.get(select)
+    traced.all(select)
+    traced.exec('INSERT INTO t VALUES (2)')
+    await new Promise((resolve) => traced.each(select, () => {}, resolve))
+    const stmt = traced.prepare(insert)
+    stmt.run(3)
+    stmt.get(4)
+    stmt.finalize()
+    traced.get(slow)
+
+    const expected = [insert, select, select, 'INSERT INTO t VALUES (2)', select, insert, insert, slow]
+    if (traces.join('\n') !== expected.join('\n')) {
+      throw new Error(`Unexpected trace events:\n${traces.join('\n')}`)
+    }
+    if (profiles.map(([sql]) => sql).join('\n') !== expected.join('\n')) {
+      throw new Error('profile events do not match trace events')
+    }
+    if (!profiles.every(([, ms]) => Number.isInteger(ms) && ms >= 0)) {
+      throw new Error(`profile times must be whole milliseconds: ${profiles.map(([, ms]) => ms)}`)
+    }
+    const [, slowMs] = profiles[profiles.length - 1]
+    if (slowMs < 1) {
+      throw new Error(`Expected the slow query to take at least 1ms, got ${slowMs}`)
+    }
+    console.log(`✅ ${traces.length} trace and profile events, slow query took ${slowMs}ms`)
+
+    // Test 3: error events for operations without a callback
+    console.log('\n🔬 Test 3: error events')
+    const errors = []
+    traced.on('error', (err) => errors.push(err))
+    traced.run('INSERT INTO missing VALUES (1)')
+    if (errors.length !== 0) {
+      throw new Error('error event fired before the call returned')
+    }
+    await settle()
+    if (errors.length !== 1 || errors[0].code !== 'SQLITE_ERROR') {
+      throw new Error(`Expected one SQLITE_ERROR event, got ${errors.map((err) => err.message)}`)
+    }
+    // Errors with a callback go to the callback only
+    await new Promise((resolve) => traced.run('INSERT INTO missing VALUES (1)', resolve))
+    await settle()
+    if (errors.length !== 1) {
+      throw new Error('error event fired although a callback handled the error')
+    }
+    traced.removeAllListeners('error')
+    try {
+      traced.run('INSERT INTO missing VALUES (1)')
+      throw new Error('Expected the error to be thrown without listeners')
+    } catch (err) {
+      if (err.code !== 'SQLITE_ERROR') throw err
+    }
+    console.log(`✅ error event: ${errors[0].message}; thrown when nobody listens`)
+
+    // Test 4: configure('busyTimeout')
+    console.log('\n🔬 Test 4: configure(\'busyTimeout\')')
+    if (traced.configure('busyTimeout', 1234) !== traced) {
+      throw new Error('configure() should return the database')
+    }
+    const { timeout } = traced.get('PRAGMA busy_timeout')
+    if (timeout !== 1234) {
+      throw new Error(`Expected busy_timeout 1234, got ${timeout}`)
+    }
+    for (const [option, value] of [['limit', 1], ['busyTimeout', -1]]) {
+      try {
+        traced.configure(option, value)
+        throw new Error(`Expected configure('${option}', ${value}) to throw`)
+      } catch (err) {
+        if (/Expected configure/.test(err.message)) throw err
+        console.log(`✅ Rejected: ${err.message}`)
+      }
+    }
+    traced.close()
+    console.log('✅ busy_timeout set to 1234ms')
+
+    // Test 5: Instrumenting Knex connections
+    console.log('\n🔬 Test 5: Knex connections')
+    const queries = []
+    const instrumented = knex({
+      client: BunSqliteClient,
+      connection: { filename: ':memory:' },
+      pool: {
+        afterCreate(connection, done) {
+          connection.on('profile', (sql, ms) => queries.push({ sql, ms }))
+          done()
+        }
+      },
+      useNullAsDefault: true
+    })
+    try {
+      await instrumented.schema.createTable('users', (table) => {
+        table.increments('id').primary()
+        table.string('name')
+      })
+      await instrumented('users').insert({ name: 'Alice' })
+      await instrumented('users').where('name', 'Alice').first()
+    } finally {
+      await instrumented.destroy()
+    }
+    const sqls = queries.map((query) => query.sql)
+    if (!sqls.includes('insert into `users` (`name`) values (?)') ||
+        !sqls.includes('select * from `users` where `name` = ? limit ?')) {
+      throw new Error(`Missing Knex queries in profile events:\n${sqls.join('\n')}`)
+    }
+    console.log(`✅ ${queries.length} Knex queries profiled`)
+
+    console.log('\n✨ All event tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  }
+}
+
+runTests()
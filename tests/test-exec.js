@@ -0,0 +1,133 @@
+// Test script for multi-statement exec() in knex-bun-sqlite
+// This verifies statement splitting, per-statement errors and transactional scripts
+
+const { Database } = require('../index.js')
+
+console.log('🧪 Testing Multi-Statement exec() in knex-bun-sqlite\n')
+
+function exec(db, sql, options) {
+  return new Promise((resolve) => db.exec(sql, options, (err) => resolve(err)))
+}
+
+function all(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)))
+  })
+}
+
+async function runTests() {
+  try {
+    // Test 1: Semicolons in strings, identifiers, comments and triggers
+    console.log('🔬 Test 1: Splitting statements')
+    let db = new Database(':memory:')
+    const traces = []
+    db.on('trace', (sql) => traces.push(sql))
+    let err = await exec(db, `
+      CREATE TABLE "semi;colon" (id INTEGER PRIMARY KEY, [odd;name] TEXT, note TEXT);
+      CREATE TABLE audit (message TEXT);
+      -- a comment; with a semicolon
+      /* a block comment;
+         over two lines; */
+      CREATE TRIGGER log_insert AFTER INSERT ON "semi;colon"
+      BEGIN
+        INSERT INTO audit VALUES ('inserted;' || NEW.id);
+        INSERT INTO audit VALUES (CASE WHEN NEW.note IS NULL THEN 'no note' ELSE 'note' END);
+      END;
+      INSERT INTO "semi;colon" ([odd;name], note) VALUES ('it''s; fine', NULL);;
+      INSERT INTO "semi;colon" ([odd;name], note) VALUES ('second', 'x') -- no trailing semicolon
+    `)
+    if (err) throw err
+    const executed = traces.slice()
+    const rows = await all(db, 'SELECT [odd;name] AS name FROM "semi;colon" ORDER BY id')
+    const audit = await all(db, 'SELECT message FROM audit')
+    if (rows.map((row) => row.name).join('|') !== "it's; fine|second") {
+      throw new Error(`Unexpected rows: ${JSON.stringify(rows)}`)
+    }
+    if (audit.map((row) => row.message).join('|') !== 'inserted;1|no note|inserted;2|note') {
+      throw new Error(`Trigger did not run both statements: ${JSON.stringify(audit)}`)
+    }
+    if (executed.length !== 5 || !executed[2].includes('END')) {
+      throw new Error(`Expected one trace event per statement, got ${executed.length}:\n${executed.join('\n')}`)
+    }
+    console.log(`✅ ${executed.length} statements run, trigger body kept whole`)
+
+    // Comments and blank scripts run nothing
+    err = await exec(db, '  -- nothing here;\n ; ')
+    if (err) throw err
+    console.log('✅ Comment-only script is a no-op')
+    db.close()
+
+    // Test 2: Errors name the failing statement
+    console.log('\n🔬 Test 2: Per-statement errors')
+    db = new Database(':memory:')
+    const script = [
+      'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT UNIQUE)',
+      "INSERT INTO users (name) VALUES ('alice')",
+      "INSERT INTO users (name) VALUES ('bob')",
+      "INSERT INTO users (name) VALUES ('alice')",
+      "INSERT INTO users (name) VALUES ('carol')"
+    ].join(';\n')
+    err = await exec(db, script)
+    if (!err || err.code !== 'SQLITE_CONSTRAINT' || err.statementIndex !== 3) {
+      throw new Error(`Expected a constraint error at statement index 3, got ${err && err.message}`)
+    }
+    if (!err.message.includes("(statement 4: INSERT INTO users (name) VALUES ('alice'))") ||
+        err.statement !== "INSERT INTO users (name) VALUES ('alice')") {
+      throw new Error(`Error does not identify the statement: ${err.message}`)
+    }
+    console.log(`✅ ${err.message}`)
+
+    // Like sqlite3_exec, statements before the failure stay applied
+    let names = (await all(db, 'SELECT name FROM users ORDER BY id')).map((row) => row.name)
+    if (names.join() !== 'alice,bob') {
+      throw new Error(`Expected the first inserts to persist, got ${names.join()}`)
+    }
+    console.log('✅ Statements before the failure stay applied')
+
+    // Syntax errors and long statements
+    err = await exec(db, `SELECT 1; SELEC ${'x, '.repeat(50)}y`)
+    if (!err || err.code !== 'SQLITE_ERROR' || err.statementIndex !== 1 || !/\(statement 2: SELEC x, .*\.\.\.\)$/.test(err.message)) {
+      throw new Error(`Unexpected syntax error: ${err && err.message}`)
+    }
+    console.log(`✅ ${err.message}`)
+
+    // Test 3: Transactional scripts
+    console.log('\n🔬 Test 3: exec() with { transaction: true }')
+    err = await exec(db, "INSERT INTO users (name) VALUES ('dave'); INSERT INTO users (name) VALUES ('bob')", { transaction: true })
+    if (!err || err.statementIndex !== 1) {
+      throw new Error(`Expected the second statement to fail, got ${err && err.message}`)
+    }
+    names = (await all(db, 'SELECT name FROM users ORDER BY id')).map((row) => row.name)
+    if (names.join() !== 'alice,bob' || db.db.inTransaction) {
+      throw new Error(`Expected the script to roll back, got ${names.join()}`)
+    }
+    console.log('✅ Failed script rolled back completely')
+
+    err = await exec(db, "INSERT INTO users (name) VALUES ('dave'); INSERT INTO users (name) VALUES ('erin')", { transaction: true })
+    if (err) throw err
+    console.log('✅ Successful script committed')
+
+    // Inside an open transaction the script uses a savepoint
+    await exec(db, 'BEGIN')
+    await exec(db, "INSERT INTO users (name) VALUES ('frank')")
+    err = await exec(db, "INSERT INTO users (name) VALUES ('gina'); INSERT INTO users (name) VALUES ('frank')", { transaction: true })
+    if (!err || !db.db.inTransaction) {
+      throw new Error('Expected the script to fail inside the still-open transaction')
+    }
+    await exec(db, 'COMMIT')
+    names = (await all(db, 'SELECT name FROM users ORDER BY id')).map((row) => row.name)
+    if (names.join() !== 'alice,bob,dave,erin,frank') {
+      throw new Error(`Expected only the script to roll back, got ${names.join()}`)
+    }
+    console.log('✅ Nested script rolled back to its savepoint, outer transaction kept')
+    db.close()
+
+    console.log('\n✨ All exec tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  }
+}
+
+runTests()
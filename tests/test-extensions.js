@@ -0,0 +1,174 @@
+// Test script for loadable extensions in knex-bun-sqlite
+// This verifies Database.loadExtension() and connection.extensions
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing Loadable Extensions in knex-bun-sqlite\n')
+
+const sourcePath = path.join(__dirname, 'test-extension.c')
+const extensionPath = path.join(__dirname, `test-extension${process.platform === 'darwin' ? '.dylib' : '.so'}`)
+
+// A minimal extension defining half(x) = x / 2, with both the default entry
+// point and a custom one
+const SOURCE = `
+#include <sqlite3ext.h>
+SQLITE_EXTENSION_INIT1
+
+static void half(sqlite3_context *context, int argc, sqlite3_value **argv) {
+  sqlite3_result_double(context, sqlite3_value_double(argv[0]) / 2);
+}
+
+static int init(sqlite3 *db, const sqlite3_api_routines *api) {
+  SQLITE_EXTENSION_INIT2(api);
+  return sqlite3_create_function(db, "half", 1, SQLITE_UTF8 | SQLITE_DETERMINISTIC, 0, half, 0, 0);
+}
+
+int sqlite3_extension_init(sqlite3 *db, char **error, const sqlite3_api_routines *api) {
+  return init(db, api);
+}
+
+int custom_init(sqlite3 *db, char **error, const sqlite3_api_routines *api) {
+  return init(db, api);
+}
+`
+
+function cleanup() {
+  for (const file of [sourcePath, extensionPath]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+  }
+}
+
+// Build the extension with the system C compiler, if there is one
+function buildExtension() {
+  fs.writeFileSync(sourcePath, SOURCE)
+  try {
+    const result = Bun.spawnSync(['cc', '-shared', '-fPIC', '-o', extensionPath, sourcePath])
+    return result.exitCode === 0
+  } catch (err) {
+    return false
+  }
+}
+
+function half(db) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT half(5) AS value', (err, row) => (err ? reject(err) : resolve(row.value)))
+  })
+}
+
+async function runTests() {
+  cleanup()
+
+  try {
+    // Test 1: Errors name the extension
+    console.log('🔬 Test 1: Missing extensions')
+    const db = new Database(':memory:')
+    const err = await new Promise((resolve) => db.loadExtension('./missing-extension', resolve))
+    if (!err || err.code !== 'SQLITE_ERROR' || !err.message.includes('Failed to load extension "./missing-extension"')) {
+      throw new Error(`Unexpected error: ${err && err.message}`)
+    }
+    console.log(`✅ ${err.message}`)
+
+    // Test 2: Builds without extension loading get an explanation
+    console.log('\n🔬 Test 2: SQLite without extension loading')
+    db.db.loadExtension = () => {
+      throw new Error('not authorized')
+    }
+    try {
+      db.loadExtension('./vec0')
+      throw new Error('Expected loadExtension to throw')
+    } catch (err) {
+      if (!/cannot load extensions.*setCustomSQLite/.test(err.message)) throw err
+      console.log(`✅ ${err.message}`)
+    } finally {
+      db.close()
+    }
+
+    // Test 3: Invalid connection.extensions
+    console.log('\n🔬 Test 3: Invalid connection.extensions')
+    for (const extensions of ['./vec0', [42]]) {
+      const invalid = knex({
+        client: BunSqliteClient,
+        connection: { filename: ':memory:', extensions },
+        useNullAsDefault: true
+      })
+      try {
+        await invalid.raw('SELECT 1')
+        throw new Error(`Expected extensions ${JSON.stringify(extensions)} to be rejected`)
+      } catch (err) {
+        if (!/extensions must be an array|Invalid extension/.test(err.message)) throw err
+        console.log(`✅ Rejected: ${err.message}`)
+      } finally {
+        await invalid.destroy()
+      }
+    }
+
+    if (!buildExtension()) {
+      console.log('\n⚠️  No C compiler available, skipping tests with a real extension')
+      console.log('\n✨ All extension tests passed! ✨\n')
+      return
+    }
+
+    // Test 4: Loading a real extension
+    console.log('\n🔬 Test 4: Database.loadExtension()')
+    for (const entryPoint of [undefined, 'custom_init']) {
+      const loaded = new Database(':memory:')
+      try {
+        await new Promise((resolve, reject) => {
+          const done = (err) => (err ? reject(err) : resolve())
+          if (entryPoint) {
+            loaded.loadExtension(extensionPath, entryPoint, done)
+          } else {
+            loaded.loadExtension(extensionPath, done)
+          }
+        })
+        const value = await half(loaded)
+        if (value !== 2.5) {
+          throw new Error(`Expected half(5) = 2.5, got ${value}`)
+        }
+      } finally {
+        loaded.close()
+      }
+      console.log(`✅ half(5) = 2.5 with ${entryPoint || 'the default'} entry point`)
+    }
+
+    // Test 5: connection.extensions loads on every pooled connection
+    console.log('\n🔬 Test 5: connection.extensions')
+    const pooled = knex({
+      client: BunSqliteClient,
+      connection: { filename: ':memory:', extensions: [{ path: extensionPath, entryPoint: 'custom_init' }] },
+      pool: { min: 2, max: 2 },
+      useNullAsDefault: true
+    })
+    try {
+      const connections = await Promise.all([pooled.client.acquireConnection(), pooled.client.acquireConnection()])
+      const values = await Promise.all(connections.map(half))
+      await Promise.all(connections.map((connection) => pooled.client.releaseConnection(connection)))
+      if (connections[0] === connections[1] || values.join() !== '2.5,2.5') {
+        throw new Error(`Expected the extension on both connections, got ${values.join()}`)
+      }
+      const [{ value }] = await pooled.raw('SELECT half(?) AS value', [9])
+      if (value !== 4.5) {
+        throw new Error(`Expected half(9) = 4.5 through Knex, got ${value}`)
+      }
+    } finally {
+      await pooled.destroy()
+    }
+    console.log('✅ Extension available on every pooled connection')
+
+    console.log('\n✨ All extension tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    cleanup()
+  }
+}
+
+runTests()
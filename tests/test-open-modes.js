@@ -0,0 +1,150 @@
+// Test script for sqlite3 open-mode flags in knex-bun-sqlite
+// This verifies that OPEN_READONLY / OPEN_READWRITE / OPEN_CREATE are honored
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing Open Modes in knex-bun-sqlite\n')
+
+const dbPath = path.join(__dirname, 'test-open-modes.db')
+const missingPath = path.join(__dirname, 'test-open-modes-missing.db')
+
+function cleanup() {
+  for (const file of [dbPath, missingPath]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+  }
+}
+
+function openDatabase(filename, mode) {
+  return new Promise((resolve, reject) => {
+    const db = new Database(filename, mode, (err) => {
+      if (err) return reject(err)
+      resolve(db)
+    })
+  })
+}
+
+async function expectFailure(promise, message) {
+  try {
+    await promise
+  } catch (err) {
+    console.log(`✅ ${message}: ${err.message}`)
+    return err
+  }
+  throw new Error(`Expected failure: ${message}`)
+}
+
+async function runTests() {
+  cleanup()
+
+  try {
+    // Test 1: Default mode creates the file
+    console.log('🔬 Test 1: Default mode creates a missing database')
+    const created = await openDatabase(dbPath)
+    created.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)')
+    created.run('INSERT INTO items (name) VALUES (?)', ['first'])
+    created.close()
+    if (!fs.existsSync(dbPath)) {
+      throw new Error('Database file was not created')
+    }
+    console.log('✅ Database file created')
+
+    // Test 2: OPEN_READONLY refuses to create missing files
+    console.log('\n🔬 Test 2: OPEN_READONLY on a missing file')
+    await expectFailure(
+      openDatabase(missingPath, Database.OPEN_READONLY),
+      'Read-only open of missing file failed'
+    )
+    if (fs.existsSync(missingPath)) {
+      throw new Error('Read-only open created an empty database')
+    }
+
+    // Test 3: OPEN_READWRITE without OPEN_CREATE refuses to create missing files
+    console.log('\n🔬 Test 3: OPEN_READWRITE without OPEN_CREATE on a missing file')
+    await expectFailure(
+      openDatabase(missingPath, Database.OPEN_READWRITE),
+      'Read-write open of missing file failed'
+    )
+    if (fs.existsSync(missingPath)) {
+      throw new Error('Read-write open created an empty database')
+    }
+
+    // Test 4: OPEN_READONLY can read but not write
+    console.log('\n🔬 Test 4: OPEN_READONLY reads but rejects writes')
+    const readonly = await openDatabase(dbPath, Database.OPEN_READONLY)
+    const rows = readonly.all('SELECT * FROM items')
+    if (rows.length !== 1) {
+      throw new Error(`Expected 1 row, got ${rows.length}`)
+    }
+    await expectFailure(
+      new Promise((resolve, reject) => {
+        readonly.run('INSERT INTO items (name) VALUES (?)', ['second'], (err) => {
+          if (err) return reject(err)
+          resolve()
+        })
+      }),
+      'Write on read-only connection failed'
+    )
+    readonly.close()
+
+    // Test 5: Knex connection config with readonly: true
+    console.log('\n🔬 Test 5: Knex connection with readonly: true')
+    const readonlyKnex = knex({
+      client: BunSqliteClient,
+      connection: { filename: dbPath, readonly: true },
+      useNullAsDefault: true
+    })
+    const knexRows = await readonlyKnex('items').select('*')
+    console.log(`✅ Read ${knexRows.length} rows through read-only Knex`)
+    await expectFailure(
+      readonlyKnex('items').insert({ name: 'second' }),
+      'Knex insert on read-only connection failed'
+    )
+    await readonlyKnex.destroy()
+
+    // Test 6: Knex connection config with flags: ['OPEN_READONLY']
+    console.log('\n🔬 Test 6: Knex connection with flags: [\'OPEN_READONLY\'] on a missing file')
+    const flagsKnex = knex({
+      client: BunSqliteClient,
+      connection: { filename: missingPath, flags: ['OPEN_READONLY'] },
+      useNullAsDefault: true
+    })
+    await expectFailure(
+      flagsKnex('items').select('*'),
+      'Knex read-only open of missing file failed'
+    )
+    await flagsKnex.destroy()
+
+    // Test 7: Knex connection config with create: false
+    console.log('\n🔬 Test 7: Knex connection with create: false on a missing file')
+    const noCreateKnex = knex({
+      client: BunSqliteClient,
+      connection: { filename: missingPath, create: false },
+      useNullAsDefault: true
+    })
+    await expectFailure(
+      noCreateKnex.raw('SELECT 1'),
+      'Knex open without create failed'
+    )
+    await noCreateKnex.destroy()
+    if (fs.existsSync(missingPath)) {
+      throw new Error('Knex created an empty database')
+    }
+
+    console.log('\n✨ All open mode tests passed! ✨\n')
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    cleanup()
+  }
+}
+
+runTests()
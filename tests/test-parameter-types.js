@@ -201,6 +201,43 @@ async function runTests() {
       .select('*')
     console.log(`✅ BETWEEN query with Date parameters returned ${rangeResults.length} results`)
 
+    // Test 13: RETURNING with normalized parameters
+    console.log('\n🔬 Test 13: returning() with Date, Buffer and boolean values')
+    const returnedDate = new Date('2025-06-01T12:00:00.000Z')
+    const [inserted] = await db('test_types').insert({
+      string_col: 'Returning Test',
+      bool_col: true,
+      datetime_col: returnedDate,
+      binary_col: Buffer.from('hi')
+    }, ['id', 'bool_col', 'datetime_col', 'binary_col'])
+    if (inserted.bool_col !== 1 || inserted.datetime_col !== returnedDate.valueOf() ||
+        Buffer.from(inserted.binary_col).toString() !== 'hi') {
+      throw new Error(`Unexpected insert returning row: ${JSON.stringify(inserted)}`)
+    }
+    const [updated] = await db('test_types')
+      .where('id', inserted.id)
+      .update({ bool_col: false }, ['id', 'bool_col'])
+    if (updated.id !== inserted.id || updated.bool_col !== 0) {
+      throw new Error(`Unexpected update returning row: ${JSON.stringify(updated)}`)
+    }
+    const deleted = await db('test_types').where('id', inserted.id).del('id')
+    if (deleted.length !== 1 || deleted[0].id !== inserted.id) {
+      throw new Error(`Unexpected delete returning rows: ${JSON.stringify(deleted)}`)
+    }
+    console.log(`✅ insert/update/del returning() gave back row ${inserted.id}`)
+
+    // Test 14: Explicit rowid 0
+    console.log('\n🔬 Test 14: Inserting with id 0')
+    await db.schema.createTable('zero_ids', (table) => {
+      table.increments('id').primary()
+      table.string('name')
+    })
+    const [zeroId] = await db('zero_ids').insert({ id: 0, name: 'zero' })
+    if (zeroId !== 0) {
+      throw new Error(`Expected insert to return [0], got [${zeroId}]`)
+    }
+    console.log('✅ Insert with id 0 returned [0]')
+
     // Summary
     const totalRows = await db('test_types').count('* as count').first()
     console.log(`\n📊 Summary: ${totalRows.count} total rows inserted with various parameter types`)
@@ -0,0 +1,145 @@
+// Test script for connection-level PRAGMA configuration in knex-bun-sqlite
+// This verifies that connection.pragmas and presets are applied to every connection
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing PRAGMA Configuration in knex-bun-sqlite\n')
+
+const dbPath = path.join(__dirname, 'test-pragmas.db')
+
+function cleanup() {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) {
+      fs.unlinkSync(dbPath + suffix)
+    }
+  }
+}
+
+async function pragma(db, name) {
+  const rows = await db.raw(`PRAGMA ${name}`)
+  return Object.values(rows[0])[0]
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`)
+  }
+  console.log(`✅ ${message}: ${actual}`)
+}
+
+async function expectFailure(pragmas, pattern) {
+  const db = knex({
+    client: BunSqliteClient,
+    connection: { filename: ':memory:', pragmas },
+    useNullAsDefault: true
+  })
+  try {
+    await db.raw('SELECT 1')
+    throw new Error(`Expected pragmas ${JSON.stringify(pragmas)} to be rejected`)
+  } catch (err) {
+    if (!pattern.test(err.message)) throw err
+    console.log(`✅ Rejected: ${err.message}`)
+  } finally {
+    await db.destroy()
+  }
+}
+
+async function runTests() {
+  cleanup()
+
+  try {
+    // Test 1: Explicit pragmas
+    console.log('🔬 Test 1: Explicit pragmas')
+    const explicit = knex({
+      client: BunSqliteClient,
+      connection: {
+        filename: dbPath,
+        pragmas: {
+          journal_mode: 'WAL',
+          synchronous: 'NORMAL',
+          foreign_keys: true,
+          busy_timeout: 3000,
+          cache_size: -2000,
+          mmap_size: 1048576
+        }
+      },
+      useNullAsDefault: true
+    })
+    assertEqual(await pragma(explicit, 'journal_mode'), 'wal', 'journal_mode')
+    assertEqual(await pragma(explicit, 'synchronous'), 1, 'synchronous (NORMAL)')
+    assertEqual(await pragma(explicit, 'foreign_keys'), 1, 'foreign_keys')
+    assertEqual(await pragma(explicit, 'busy_timeout'), 3000, 'busy_timeout')
+    assertEqual(await pragma(explicit, 'cache_size'), -2000, 'cache_size')
+    assertEqual(await pragma(explicit, 'mmap_size'), 1048576, 'mmap_size')
+    await explicit.destroy()
+
+    // Test 2: Presets with overrides
+    console.log('\n🔬 Test 2: wal-performance preset with an override')
+    const preset = knex({
+      client: BunSqliteClient,
+      connection: {
+        filename: dbPath,
+        pragmas: { preset: 'wal-performance', busy_timeout: 10000 }
+      },
+      useNullAsDefault: true
+    })
+    assertEqual(await pragma(preset, 'journal_mode'), 'wal', 'journal_mode')
+    assertEqual(await pragma(preset, 'synchronous'), 1, 'synchronous (NORMAL)')
+    assertEqual(await pragma(preset, 'busy_timeout'), 10000, 'busy_timeout override')
+    assertEqual(await pragma(preset, 'temp_store'), 2, 'temp_store (MEMORY)')
+    await preset.destroy()
+
+    // Test 3: Pragmas are applied to every new connection in the pool
+    console.log('\n🔬 Test 3: Every pooled connection is configured')
+    const pooled = knex({
+      client: BunSqliteClient,
+      connection: { filename: dbPath, pragmas: 'wal-safe' },
+      pool: { min: 0, max: 3 },
+      useNullAsDefault: true
+    })
+    await pooled.transaction(async (trx1) => {
+      await pooled.transaction(async (trx2) => {
+        assertEqual(await pragma(trx1, 'foreign_keys'), 1, 'foreign_keys on connection 1')
+        assertEqual(await pragma(trx2, 'foreign_keys'), 1, 'foreign_keys on connection 2')
+      })
+    })
+    await pooled.destroy()
+
+    // Test 4: Validation errors
+    console.log('\n🔬 Test 4: Invalid configuration')
+    await expectFailure({ journalmode: 'WAL' }, /Unknown pragma "journalmode"/)
+    await expectFailure('turbo', /Unknown pragma preset "turbo"/)
+    await expectFailure({ journal_mode: 'WAL; DROP TABLE users' }, /Invalid value for pragma "journal_mode"/)
+
+    // Test 5: A pragma that does not take effect is reported
+    console.log('\n🔬 Test 5: Pragma that fails to apply')
+    const locked = knex({
+      client: BunSqliteClient,
+      connection: { filename: dbPath, readonly: true, pragmas: { journal_mode: 'DELETE' } },
+      useNullAsDefault: true
+    })
+    try {
+      await locked.raw('SELECT 1')
+      throw new Error('Expected journal_mode change on a read-only WAL database to fail')
+    } catch (err) {
+      if (!/Failed to apply PRAGMA journal_mode = DELETE/.test(err.message)) throw err
+      console.log(`✅ Rejected: ${err.message}`)
+    } finally {
+      await locked.destroy()
+    }
+
+    console.log('\n✨ All pragma tests passed! ✨\n')
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    cleanup()
+  }
+}
+
+runTests()
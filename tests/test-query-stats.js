@@ -0,0 +1,175 @@
+// Test script for query stats in knex-bun-sqlite
+// This verifies per-statement timing metrics, the slow query log and binding redaction
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+
+console.log('🧪 Testing Query Stats in knex-bun-sqlite\n')
+
+const SLOW_SQL = `WITH RECURSIVE seq(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < ?)
+  SELECT COUNT(*) AS count FROM seq`
+
+function openDatabase(queryStats) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename: ':memory:', queryStats },
+    useNullAsDefault: true
+  })
+}
+
+async function seed(db) {
+  await db.schema.createTable('users', (table) => {
+    table.increments('id').primary()
+    table.string('name')
+    table.string('password')
+  })
+  await db('users').insert([
+    { name: 'Alice', password: 'hunter2' },
+    { name: 'Bob', password: 'swordfish' },
+    { name: 'Carol', password: 'letmein' }
+  ])
+}
+
+async function runTests() {
+  try {
+    // Test 1: Disabled by default
+    console.log('🔬 Test 1: Stats are off by default')
+    let db = openDatabase(undefined)
+    try {
+      await seed(db)
+      if (db.client.queryStats !== null || db.client.getStats().length !== 0) {
+        throw new Error('Expected no stats without connection.queryStats')
+      }
+      db.client.resetStats()
+    } finally {
+      await db.destroy()
+    }
+    console.log('✅ getStats() is empty and resetStats() is a no-op')
+
+    // Test 2: Counts, durations and rows per statement
+    console.log('\n🔬 Test 2: Per-statement counts, durations and rows')
+    db = openDatabase({ slowQueryThreshold: null })
+    try {
+      await seed(db)
+      for (let i = 0; i < 5; i++) {
+        await db('users').where('id', '>', 1)
+      }
+      await db('users').where('name', 'Alice').first()
+      await db('users').where('name', 'Nobody').first()
+      await new Promise((resolve, reject) => {
+        const stream = db('users').select('name').stream()
+        stream.on('data', () => {})
+        stream.on('end', resolve)
+        stream.on('error', reject)
+      })
+      await db.raw(SLOW_SQL, [200000])
+
+      const stats = db.client.getStats()
+      const bySql = new Map(stats.map((entry) => [entry.sql, entry]))
+      const many = bySql.get('select * from `users` where `id` > ?')
+      if (!many || many.count !== 5 || many.rows !== 10) {
+        throw new Error(`Unexpected stats for the filtered select: ${JSON.stringify(many)}`)
+      }
+      const first = bySql.get('select * from `users` where `name` = ? limit ?')
+      if (!first || first.count !== 2 || first.rows !== 1) {
+        throw new Error(`Unexpected stats for first(): ${JSON.stringify(first)}`)
+      }
+      const streamed = bySql.get('select `name` from `users`')
+      if (!streamed || streamed.count !== 1 || streamed.rows !== 3) {
+        throw new Error(`Unexpected stats for the stream: ${JSON.stringify(streamed)}`)
+      }
+      const insert = stats.find((entry) => entry.sql.startsWith('insert into `users`'))
+      if (!insert || insert.count !== 1 || insert.rows !== 0) {
+        throw new Error(`Unexpected stats for the insert: ${JSON.stringify(insert)}`)
+      }
+      for (const entry of stats) {
+        if (entry.p95Ms > entry.maxMs || entry.avgMs > entry.maxMs ||
+            Math.abs(entry.avgMs * entry.count - entry.totalMs) > 1e-6) {
+          throw new Error(`Inconsistent durations: ${JSON.stringify(entry)}`)
+        }
+      }
+      for (let i = 1; i < stats.length; i++) {
+        if (stats[i - 1].totalMs < stats[i].totalMs) {
+          throw new Error('Stats are not sorted by total time')
+        }
+      }
+      if (stats[0].sql !== SLOW_SQL) {
+        throw new Error(`Expected the recursive query first, got ${stats[0].sql}`)
+      }
+      console.log(`✅ ${stats.length} statements, slowest ${stats[0].totalMs.toFixed(1)}ms total`)
+
+      db.client.resetStats()
+      if (db.client.getStats().length !== 0) {
+        throw new Error('resetStats() did not clear the stats')
+      }
+      console.log('✅ resetStats() clears every entry')
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 3: Slow query log with bindings
+    console.log('\n🔬 Test 3: Slow query log')
+    const slow = []
+    db = openDatabase({ slowQueryThreshold: 1, onSlowQuery: (entry) => slow.push(entry) })
+    try {
+      await seed(db)
+      slow.length = 0
+      await db.raw(SLOW_SQL, [200000])
+      const entry = slow.find((logged) => logged.sql === SLOW_SQL)
+      if (!entry || entry.duration < 1 || entry.rows !== 1 || entry.bindings.join() !== '200000') {
+        throw new Error(`Expected the slow query to be logged with its bindings: ${JSON.stringify(slow)}`)
+      }
+      console.log(`✅ Logged ${entry.duration.toFixed(1)}ms query with bindings ${entry.bindings}`)
+    } finally {
+      await db.destroy()
+    }
+
+    // The default log goes to the Knex logger
+    const warnings = []
+    const logged = knex({
+      client: BunSqliteClient,
+      connection: { filename: ':memory:', queryStats: { slowQueryThreshold: 0 } },
+      log: { warn: (message) => warnings.push(message) },
+      useNullAsDefault: true
+    })
+    try {
+      await logged.raw('SELECT ? AS big', [2n ** 60n])
+    } finally {
+      await logged.destroy()
+    }
+    const warning = warnings.find((message) => message.includes('SELECT ? AS big'))
+    if (!warning || !warning.includes('1152921504606846976n')) {
+      throw new Error(`Expected a slow query warning with bindings: ${warnings.join('\n')}`)
+    }
+    console.log(`✅ Default log: ${warning}`)
+
+    // Test 4: Redacting bindings
+    console.log('\n🔬 Test 4: Redacted bindings')
+    for (const [redactBindings, expected] of [
+      [true, '[redacted],[redacted]'],
+      [(bindings, sql) => sql.includes('password') ? bindings.map(() => '***') : bindings, '***,***']
+    ]) {
+      const entries = []
+      db = openDatabase({ slowQueryThreshold: 0, redactBindings, onSlowQuery: (entry) => entries.push(entry) })
+      try {
+        await seed(db)
+        await db('users').where({ name: 'Alice', password: 'hunter2' }).first()
+      } finally {
+        await db.destroy()
+      }
+      const lookup = entries.find((entry) => entry.sql.includes('`password` = ?'))
+      if (!lookup || lookup.bindings.slice(0, 2).join() !== expected) {
+        throw new Error(`Expected redacted bindings ${expected}, got ${lookup && lookup.bindings}`)
+      }
+      console.log(`✅ Bindings logged as ${lookup.bindings.slice(0, 2)}`)
+    }
+
+    console.log('\n✨ All query stats tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  }
+}
+
+runTests()
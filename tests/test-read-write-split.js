@@ -0,0 +1,215 @@
+// Test script for the read/write split pool in knex-bun-sqlite
+// This verifies that connection.readers routes reads to read-only connections
+// and keeps writes and transactions on the single writer
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing Read/Write Split Pool in knex-bun-sqlite\n')
+
+const dbPath = path.join(__dirname, 'test-read-write-split.db')
+
+function cleanup() {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) {
+      fs.unlinkSync(dbPath + suffix)
+    }
+  }
+}
+
+function openDatabase(readers) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename: dbPath, readers, pragmas: 'wal-performance' },
+    useNullAsDefault: true
+  })
+}
+
+// Record whether each query ran on a reader or the writer
+const routes = []
+const query = BunSqliteClient.prototype._query
+BunSqliteClient.prototype._query = function (connection, obj) {
+  routes.push(connection.mode === Database.OPEN_READONLY ? 'reader' : 'writer')
+  return query.call(this, connection, obj)
+}
+
+async function runTests() {
+  cleanup()
+
+  try {
+    // Test 1: Invalid configurations
+    console.log('🔬 Test 1: Invalid connection.readers')
+    for (const [connection, pattern] of [
+      [{ filename: ':memory:', readers: 2 }, /requires a database file/],
+      [{ filename: dbPath, readers: -1 }, /non-negative integer/],
+      [{ filename: dbPath, readers: 1.5 }, /non-negative integer/]
+    ]) {
+      try {
+        knex({ client: BunSqliteClient, connection, useNullAsDefault: true })
+        throw new Error(`Expected ${JSON.stringify(connection)} to be rejected`)
+      } catch (err) {
+        if (!pattern.test(err.message)) throw err
+        console.log(`✅ Rejected: ${err.message}`)
+      }
+    }
+
+    // Test 2: Reads go to readers, writes to the writer
+    console.log('\n🔬 Test 2: Query routing')
+    let db = openDatabase(2)
+    try {
+      routes.length = 0
+      await db.schema.createTable('users', (table) => {
+        table.increments('id').primary()
+        table.string('name')
+      })
+      await db('users').insert([{ name: 'Alice' }, { name: 'Bob' }])
+      await db('users').where('id', 1).update({ name: 'Alicia' })
+      const expectedWrites = routes.slice()
+      routes.length = 0
+
+      const users = await db('users').orderBy('id')
+      const first = await db('users').where('id', 2).first()
+      const names = await db('users').pluck('name')
+      const [{ count }] = await db.raw('SELECT COUNT(*) AS count FROM users')
+      await db.raw("WITH recent AS (SELECT 1) SELECT * FROM recent")
+      if (users.length !== 2 || first.name !== 'Bob' || names.join() !== 'Alicia,Bob' || count !== 2) {
+        throw new Error('Readers returned unexpected rows')
+      }
+      if (routes.join() !== 'reader,reader,reader,reader,reader') {
+        throw new Error(`Expected reads on readers, got ${routes.join()}`)
+      }
+      if (expectedWrites.some((route) => route !== 'writer')) {
+        throw new Error(`Expected writes on the writer, got ${expectedWrites.join()}`)
+      }
+      console.log('✅ Selects, first(), pluck() and raw SELECT/WITH ran on readers')
+
+      // A CTE that writes must not land on a read-only connection
+      routes.length = 0
+      await db.raw("WITH names(name) AS (VALUES ('Carol')) INSERT INTO users (name) SELECT name FROM names")
+      if (routes.join() !== 'writer') {
+        throw new Error(`Expected the writing CTE on the writer, got ${routes.join()}`)
+      }
+      console.log('✅ Raw writes, including CTEs, ran on the writer')
+
+      // Queries on the writer's own state must not land on a reader either
+      routes.length = 0
+      await db('users').insert({ name: 'Frank' })
+      const [{ id }] = await db.raw('SELECT last_insert_rowid() AS id')
+      const [{ changed }] = await db.raw('SELECT changes() AS changed')
+      const [{ selectedId }] = await db.select(db.raw('last_insert_rowid() AS ??', ['selectedId']))
+      const { c } = await db.first(db.raw('changes() AS c'))
+      await db.raw('CREATE TEMP TABLE scratch (v TEXT)')
+      await db.raw("INSERT INTO temp.scratch VALUES ('x')")
+      const scratch = await db('temp.scratch').select('v')
+      const [{ n }] = await db.raw('SELECT COUNT(*) AS n FROM "temp".scratch')
+      const fromRaw = await db.select('*').from(db.raw('temp.scratch'))
+      if (id !== 4 || changed !== 1 || scratch.length !== 1 || n !== 1) {
+        throw new Error(`Unexpected writer state: ${id}, ${changed}, ${scratch.length}, ${n}`)
+      }
+      if (selectedId !== 4 || c !== 1 || fromRaw.length !== 1) {
+        throw new Error(`Unexpected builder results: ${selectedId}, ${c}, ${fromRaw.length}`)
+      }
+      if (routes.some((route) => route !== 'writer')) {
+        throw new Error(`Expected connection state queries on the writer, got ${routes.join()}`)
+      }
+      console.log('✅ last_insert_rowid(), changes() and temp. tables ran on the writer, in raw SQL and builder columns or tables')
+
+      // Readers are opened read-only
+      const reader = await db.client.acquireReaderConnection()
+      try {
+        const err = await new Promise((resolve) => reader.run("INSERT INTO users (name) VALUES ('Mallory')", resolve))
+        if (!err || err.code !== 'SQLITE_READONLY') {
+          throw new Error(`Expected the reader to refuse writes, got ${err && err.message}`)
+        }
+        console.log(`✅ Reader connections refuse writes: ${err.message}`)
+      } finally {
+        await db.client.releaseReaderConnection(reader)
+      }
+
+      const [{ journal_mode: journalMode }] = await db.raw('PRAGMA journal_mode')
+      if (journalMode !== 'wal') {
+        throw new Error(`Expected the writer to switch the file to WAL, got ${journalMode}`)
+      }
+      console.log('✅ Persistent pragmas applied by the writer only')
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 3: Concurrent readers and the single writer
+    console.log('\n🔬 Test 3: Concurrent connections')
+    db = openDatabase(2)
+    try {
+      const rows = Array.from({ length: 200 }, (_, i) => ({ name: `user${i}` }))
+      await db.batchInsert('users', rows, 50)
+      const stream = db('users').select('name').stream({ highWaterMark: 1 })
+      await new Promise((resolve) => stream.once('readable', resolve))
+      const [counted] = await Promise.all([db('users').count('* as count'), db('users').insert({ name: 'Dave' })])
+      stream.destroy()
+      if (counted[0].count < 203) {
+        throw new Error(`Unexpected count: ${counted[0].count}`)
+      }
+      const writers = Array.from(db.client.connections).filter((connection) => connection.mode !== Database.OPEN_READONLY)
+      if (db.client.readerClient.pool.numFree() + db.client.readerClient.pool.numUsed() !== 2 || writers.length !== 1) {
+        throw new Error(`Expected 2 readers and 1 writer, got ${db.client.connections.size} connections`)
+      }
+      console.log('✅ A second reader served a query while the first streamed, beside one writer')
+    } finally {
+      await db.destroy()
+    }
+    if (db.client.connections.size !== 0) {
+      throw new Error('destroy() left connections open')
+    }
+    console.log('✅ destroy() closed the writer and every reader')
+
+    // Test 4: Transactions stay on the writer
+    console.log('\n🔬 Test 4: Transactions')
+    db = openDatabase(1)
+    try {
+      routes.length = 0
+      await db.transaction(async (trx) => {
+        await trx('users').insert({ name: 'Erin' })
+        const inside = await trx('users').where('name', 'Erin').first()
+        const outside = await db('users').where('name', 'Erin').first()
+        if (!inside || outside) {
+          throw new Error('Expected the uncommitted row only inside the transaction')
+        }
+      })
+      if (routes.join() !== 'writer,writer,writer,reader,writer') {
+        throw new Error(`Expected the transaction on the writer, got ${routes.join()}`)
+      }
+      const committed = await db('users').where('name', 'Erin').first()
+      if (!committed) {
+        throw new Error('Readers do not see the committed row')
+      }
+      console.log('✅ Reads inside a transaction use the writer, readers see only committed rows')
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 5: Without readers every query shares Knex's pool
+    console.log('\n🔬 Test 5: Default pool')
+    db = openDatabase(undefined)
+    try {
+      await db('users').count('* as count')
+      if (db.client.readerClient || db.client.connections.size !== 1) {
+        throw new Error('Expected a single pooled connection without readers')
+      }
+    } finally {
+      await db.destroy()
+    }
+    console.log('✅ No reader pool unless connection.readers is set')
+
+    console.log('\n✨ All read/write split tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    cleanup()
+  }
+}
+
+runTests()
@@ -0,0 +1,116 @@
+// Test script for BigInt-safe integer handling in knex-bun-sqlite
+// This verifies that 64-bit IDs survive inserts, lookups and lastID without precision loss
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+
+console.log('🧪 Testing safeIntegers in knex-bun-sqlite\n')
+
+// Snowflake-style IDs above Number.MAX_SAFE_INTEGER (2^53 - 1)
+const SNOWFLAKE = 1234567890123456789n
+const NEXT_SNOWFLAKE = 9007199254740993n // 2^53 + 1, rounds to 2^53 as a Number
+const MAX_INT64 = 9223372036854775807n
+
+const db = knex({
+  client: BunSqliteClient,
+  connection: {
+    filename: ':memory:',
+    safeIntegers: true
+  },
+  useNullAsDefault: true
+})
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected || typeof actual !== typeof expected) {
+    throw new Error(`${message}: expected ${expected} (${typeof expected}), got ${actual} (${typeof actual})`)
+  }
+  console.log(`✅ ${message}: ${actual} (${typeof actual})`)
+}
+
+async function runTests() {
+  try {
+    await db.schema.createTable('messages', (table) => {
+      table.bigInteger('id').primary()
+      table.bigInteger('author_id')
+      table.string('body')
+      table.boolean('pinned')
+    })
+
+    // Test 1: Insert and read back 64-bit values
+    console.log('🔬 Test 1: Round-trip 64-bit integers')
+    await db('messages').insert({ id: SNOWFLAKE, author_id: MAX_INT64, body: 'hello', pinned: true })
+    const row = await db('messages').where('id', SNOWFLAKE).first()
+    assertEqual(row.id, SNOWFLAKE, 'id')
+    assertEqual(row.author_id, MAX_INT64, 'author_id (max int64)')
+
+    // Test 2: Small integers stay plain numbers
+    console.log('\n🔬 Test 2: Safe-range integers stay numbers')
+    assertEqual(row.pinned, 1, 'boolean column')
+    const { count } = await db('messages').count('* as count').first()
+    assertEqual(count, 1, 'count(*)')
+
+    // Test 3: lastID is a BigInt only when it exceeds the safe range
+    console.log('\n🔬 Test 3: lastID')
+    // lastID is the rowid, so the id column must be an INTEGER PRIMARY KEY alias
+    await db.raw('CREATE TABLE events (id INTEGER PRIMARY KEY, name TEXT)')
+    const [bigId] = await db('events').insert({ id: NEXT_SNOWFLAKE, name: 'next' })
+    assertEqual(bigId, NEXT_SNOWFLAKE, 'lastID above 2^53')
+    await db('messages').insert({ id: NEXT_SNOWFLAKE, body: 'next' })
+    await db.schema.createTable('small', (table) => {
+      table.increments('id').primary()
+      table.string('name')
+    })
+    const [smallId] = await db('small').insert({ name: 'first' })
+    assertEqual(smallId, 1, 'lastID in safe range')
+
+    // Test 4: Updates and deletes with BigInt bindings
+    console.log('\n🔬 Test 4: BigInt bindings in WHERE clauses')
+    const updated = await db('messages').where('id', NEXT_SNOWFLAKE).update({ body: 'edited' })
+    assertEqual(updated, 1, 'rows updated')
+    const ids = await db('messages').orderBy('id').pluck('id')
+    assertEqual(ids[0], NEXT_SNOWFLAKE, 'first id')
+    assertEqual(ids[1], SNOWFLAKE, 'second id')
+
+    // Test 5: Schema changes that rely on Knex's PRAGMA introspection still work
+    console.log('\n🔬 Test 5: Knex DDL under safeIntegers')
+    await db.schema.alterTable('messages', (table) => {
+      table.dropColumn('pinned')
+    })
+    const afterDrop = await db('messages').where('id', SNOWFLAKE).first()
+    if ('pinned' in afterDrop || afterDrop.id !== SNOWFLAKE) {
+      throw new Error('dropColumn lost data or precision')
+    }
+    console.log('✅ dropColumn preserved 64-bit ids')
+
+    // Test 6: Without safeIntegers precision is lost (sqlite3 behavior)
+    console.log('\n🔬 Test 6: Default mode')
+    const plain = new Database(':memory:')
+    plain.exec('CREATE TABLE t (id INTEGER)')
+    plain.run('INSERT INTO t VALUES (?)', [NEXT_SNOWFLAKE])
+    const plainRow = plain.get('SELECT id FROM t')
+    assertEqual(plainRow.id, Number(NEXT_SNOWFLAKE), 'id read as a Number')
+    plain.close()
+
+    // Test 7: Out of range BigInt parameters fail clearly
+    console.log('\n🔬 Test 7: Out of range BigInt')
+    try {
+      await db('messages').insert({ id: MAX_INT64 + 1n, body: 'overflow' })
+      throw new Error('Expected out of range BigInt to be rejected')
+    } catch (err) {
+      if (!/outside the 64-bit integer range/.test(err.message)) throw err
+      console.log(`✅ Rejected: ${err.message}`)
+    }
+
+    console.log('\n✨ All safeIntegers tests passed! ✨\n')
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    await db.destroy()
+  }
+}
+
+runTests()
@@ -0,0 +1,254 @@
+// Test script for nested transactions in knex-bun-sqlite
+// This verifies savepoint handling for nested Knex transactions and the
+// synchronous transactions built on bun:sqlite's transaction helper
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const { Database: BunDatabase } = require('bun:sqlite')
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing Savepoints and Sync Transactions in knex-bun-sqlite\n')
+
+const dbPath = path.join(__dirname, 'test-savepoints.db')
+
+function cleanup() {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) {
+      fs.unlinkSync(dbPath + suffix)
+    }
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function openDatabase(connection) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename: dbPath, pragmas: { journal_mode: 'WAL' }, ...connection },
+    useNullAsDefault: true
+  })
+}
+
+// Try a write from a separate connection, returning its error code if any
+function writeElsewhere() {
+  const other = new BunDatabase(dbPath)
+  try {
+    other.run("INSERT INTO items (name) VALUES ('elsewhere')")
+    return null
+  } catch (err) {
+    return err.code
+  } finally {
+    other.close()
+  }
+}
+
+async function runTests() {
+  cleanup()
+
+  try {
+    // Test 1: Nested Knex transactions
+    console.log('🔬 Test 1: Nested knex.transaction() scopes')
+    let db = openDatabase({})
+    try {
+      await db.schema.createTable('items', (table) => {
+        table.increments('id').primary()
+        table.string('name').unique()
+      })
+      const statements = []
+      db.on('query', ({ sql }) => {
+        if (/SAVEPOINT/.test(sql)) statements.push(sql.replace(/trx\d+/, 'sp').replace(/;$/, ''))
+      })
+
+      await db.transaction(async (trx) => {
+        await trx('items').insert({ name: 'outer' })
+        await trx.transaction(async (inner) => {
+          await inner('items').insert({ name: 'thrown' })
+          throw new Error('undo')
+        }).catch(() => {})
+        await trx.transaction(async (inner) => {
+          await inner('items').insert({ name: 'kept' })
+          await inner.transaction(async (innermost) => {
+            await innermost('items').insert({ name: 'duplicate' })
+            await innermost('items').insert({ name: 'outer' })
+          }).catch(() => {})
+        })
+        const inner = await trx.transaction()
+        await inner('items').insert({ name: 'rolled back' })
+        await inner.rollback()
+      })
+      const names = await db('items').orderBy('id').pluck('name')
+      if (names.join() !== 'outer,kept') {
+        throw new Error(`Expected only the committed scopes, got ${names.join()}`)
+      }
+      console.log(`✅ Inner rollbacks undid only their own rows: ${names.join(', ')}`)
+
+      const rollbacks = statements.filter((sql) => sql.startsWith('ROLLBACK TO')).length
+      const releases = statements.filter((sql) => sql.startsWith('RELEASE')).length
+      const savepoints = statements.filter((sql) => sql.startsWith('SAVEPOINT')).length
+      if (rollbacks !== 3 || releases !== savepoints) {
+        throw new Error(`Expected every savepoint released, got ${statements.join(' | ')}`)
+      }
+      console.log('✅ Savepoints are released after ROLLBACK TO')
+
+      const strict = await db.transaction()
+      const inner = await strict.transaction(null, { doNotRejectOnRollback: false })
+      await inner.rollback()
+      const err = await inner.executionPromise.then(() => null, (err) => err)
+      await strict.commit()
+      if (!err || !/rejected with non-error/.test(err.message)) {
+        throw new Error(`Expected doNotRejectOnRollback: false to reject, got ${err && err.message}`)
+      }
+      console.log('✅ doNotRejectOnRollback is honoured for savepoints')
+
+      // Released behind Knex's back, so ROLLBACK TO and RELEASE both fail
+      const outer = await db.transaction()
+      let savepoint
+      db.once('query', ({ sql }) => { savepoint = sql.replace(/;$/, '') })
+      const doomed = await outer.transaction()
+      await doomed.raw(`RELEASE ${savepoint}`)
+      const cause = new Error('undo doomed')
+      await doomed.rollback(cause)
+      const reason = await doomed.executionPromise.then(() => null, (err) => err)
+      await outer.commit()
+      if (reason !== cause) {
+        throw new Error(`Expected the rollback error, got ${reason && reason.message}`)
+      }
+      console.log('✅ A failed RELEASE still rejects with the rollback error')
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 2: Database#transaction()
+    console.log('\n🔬 Test 2: Adapter transaction functions')
+    const adapter = new Database(dbPath)
+    try {
+      const insertMany = adapter.transaction((tx, names) => {
+        for (const name of names) tx.run('INSERT INTO items (name) VALUES (?)', [name])
+        return tx.get('SELECT COUNT(*) AS count FROM items').count
+      })
+      const count = insertMany(['a', 'b'])
+      if (count !== 4) throw new Error(`Expected 4 rows, got ${count}`)
+      console.log('✅ Committed rows and returned the function result')
+
+      let failure
+      try {
+        insertMany(['c', 'a'])
+      } catch (err) {
+        failure = err
+      }
+      if (!failure || failure.code !== 'SQLITE_CONSTRAINT') {
+        throw new Error(`Expected the duplicate to fail, got ${failure && failure.message}`)
+      }
+      if (adapter.db.query("SELECT 1 FROM items WHERE name = 'c'").get()) {
+        throw new Error("Expected 'c' to be rolled back")
+      }
+      console.log(`✅ Rolled back on ${failure.extendedCode}`)
+
+      const nested = adapter.transaction((tx) => {
+        tx.run("INSERT INTO items (name) VALUES ('d')")
+        try {
+          tx.savepoint((sp) => {
+            sp.run("INSERT INTO items (name) VALUES ('e')")
+            throw new Error('undo e')
+          })
+        } catch (err) {
+          if (err.message !== 'undo e') throw err
+        }
+        return tx.all("SELECT name FROM items WHERE name IN ('d', 'e')").map((row) => row.name)
+      })
+      const kept = nested()
+      if (kept.join() !== 'd') throw new Error(`Expected only 'd' after the savepoint, got ${kept.join()}`)
+      console.log('✅ A failed savepoint kept the enclosing work')
+
+      const holdLock = adapter.transaction(() => writeElsewhere())
+      const deferred = holdLock.deferred()
+      const immediate = holdLock.immediate()
+      const exclusive = holdLock.exclusive()
+      if (deferred !== null || immediate !== 'SQLITE_BUSY' || exclusive !== 'SQLITE_BUSY') {
+        throw new Error(`Unexpected lock behaviour: ${deferred}, ${immediate}, ${exclusive}`)
+      }
+      console.log('✅ .immediate() and .exclusive() take the write lock up front, .deferred() does not')
+
+      try {
+        adapter.transaction(async () => {})()
+        throw new Error('Expected an async function to be rejected')
+      } catch (err) {
+        if (!/must be synchronous/.test(err.message)) throw err
+        console.log(`✅ Rejected: ${err.message}`)
+      }
+      if (adapter.db.inTransaction) throw new Error('The async function left a transaction open')
+    } finally {
+      adapter.close()
+    }
+
+    // Test 3: client.transactionSync()
+    console.log('\n🔬 Test 3: client.transactionSync()')
+    db = openDatabase({ busyRetry: { initialDelay: 5 } })
+    try {
+      const inserted = await db.client.transactionSync((tx) => {
+        let changes = 0
+        for (let i = 0; i < 500; i++) {
+          changes += tx.run('INSERT INTO items (name) VALUES (?)', [`batch${i}`]).changes
+        }
+        return changes
+      }, { mode: 'immediate' })
+      if (inserted !== 500) throw new Error(`Expected 500 inserted rows, got ${inserted}`)
+      console.log('✅ Batch of 500 inserts committed in one transaction')
+
+      await db.transaction(async (trx) => {
+        await trx('items').insert({ name: 'async' })
+        await trx.client.transactionSync((tx) => tx.run("INSERT INTO items (name) VALUES ('sync')"))
+        await trx.client.transactionSync((tx) => {
+          tx.run("INSERT INTO items (name) VALUES ('discarded')")
+          throw new Error('undo')
+        }).catch(() => {})
+        const names = await trx('items').whereIn('name', ['async', 'sync', 'discarded']).pluck('name')
+        if (names.join() !== 'async,sync') {
+          throw new Error(`Expected the failed savepoint undone, got ${names.join()}`)
+        }
+      })
+      console.log('✅ Inside knex.transaction() it runs as a savepoint')
+
+      let finished
+      await db.transaction(async (trx) => {
+        finished = trx
+      })
+      const err = await finished.client.transactionSync(() => {}).then(() => null, (err) => err)
+      if (!err || !/already complete/.test(err.message)) {
+        throw new Error(`Expected a completed transaction to be refused, got ${err && err.message}`)
+      }
+      console.log(`✅ Refused after commit: ${err.message}`)
+
+      const locker = new BunDatabase(dbPath)
+      locker.run('BEGIN IMMEDIATE')
+      const unlocked = sleep(30).then(() => {
+        locker.run('COMMIT')
+        locker.close()
+      })
+      let runs = 0
+      await db.client.transactionSync((tx) => {
+        runs++
+        tx.run("INSERT INTO items (name) VALUES ('retried')")
+      }, { mode: 'immediate' })
+      await unlocked
+      if (runs !== 1 || db.client.getRetryStats().recovered !== 1) {
+        throw new Error(`Expected the busy BEGIN to be retried, got ${runs} runs`)
+      }
+      console.log(`✅ Busy BEGIN IMMEDIATE retried ${db.client.getRetryStats().retries} times`)
+    } finally {
+      await db.destroy()
+    }
+
+    console.log('\n✨ All savepoint tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    cleanup()
+  }
+}
+
+runTests()
@@ -0,0 +1,188 @@
+// Test script for serialize()/parallelize() in knex-bun-sqlite
+// This verifies the operation queue follows node-sqlite3's ordering contract
+// The expected orders are the ones node-sqlite3 produces for the same calls
+
+const { Database } = require('../index.js')
+
+console.log('🧪 Testing serialize()/parallelize() Ordering in knex-bun-sqlite\n')
+
+function openDatabase() {
+  const db = new Database(':memory:')
+  db.exec('CREATE TABLE t (v TEXT)')
+  return db
+}
+
+// Wait for every queued callback to be delivered, then read the table
+async function drain(db) {
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  return new Promise((resolve, reject) => {
+    db.all('SELECT v FROM t ORDER BY rowid', (err, rows) => {
+      if (err) return reject(err)
+      resolve(rows.map((row) => row.v).join(','))
+    })
+  })
+}
+
+function expectOrder(actual, expected, message) {
+  if (actual.join(' ') !== expected.join(' ')) {
+    throw new Error(`${message}: expected ${expected.join(' ')}, got ${actual.join(' ')}`)
+  }
+  console.log(`✅ ${message}: ${actual.join(' ')}`)
+}
+
+async function runTests() {
+  try {
+    // Test 1: Callbacks are deferred
+    console.log('🔬 Test 1: Callbacks fire after the call returns')
+    let db = openDatabase()
+    let log = []
+    db.run("INSERT INTO t VALUES ('a')", () => log.push('run'))
+    db.get('SELECT 1', () => log.push('get'))
+    log.push('returned')
+    await drain(db)
+    expectOrder(log, ['returned', 'run', 'get'], 'Deferred callbacks')
+    db.close()
+
+    // Test 2: Operations issued inside a callback queue behind earlier ones
+    console.log('\n🔬 Test 2: Nested operations in serialized mode')
+    db = openDatabase()
+    log = []
+    db.serialize()
+    db.run("INSERT INTO t VALUES ('a')", () => {
+      log.push('a')
+      db.run("INSERT INTO t VALUES ('c')", () => log.push('c'))
+    })
+    db.run("INSERT INTO t VALUES ('b')", () => log.push('b'))
+    let rows = await drain(db)
+    expectOrder(log, ['a', 'b', 'c'], 'Callback order')
+    expectOrder([rows], ['a,b,c'], 'Row order')
+    db.close()
+
+    // Callbacks run after a serialize(callback) block has ended, so operations
+    // issued from them are back in parallel mode and start straight away
+    db = openDatabase()
+    log = []
+    db.serialize(() => {
+      db.run("INSERT INTO t VALUES ('a')", () => {
+        log.push('a')
+        db.run("INSERT INTO t VALUES ('c')", () => log.push('c'))
+      })
+      db.run("INSERT INTO t VALUES ('b')", () => log.push('b'))
+    })
+    rows = await drain(db)
+    expectOrder(log, ['a', 'c', 'b'], 'Callback order after the block')
+    expectOrder([rows], ['a,c,b'], 'Row order after the block')
+    db.close()
+
+    // Test 3: Serialized operations wait for the previous one to complete
+    console.log('\n🔬 Test 3: Each serialized operation sees the previous one')
+    db = openDatabase()
+    log = []
+    db.serialize()
+    db.run("INSERT INTO t VALUES ('a')", () => {
+      db.get('SELECT COUNT(*) AS n FROM t', (err, row) => log.push(`count=${row.n}`))
+    })
+    db.run("INSERT INTO t VALUES ('b')", () => log.push('b'))
+    await drain(db)
+    expectOrder(log, ['b', 'count=2'], 'Count queued behind the second insert')
+    db.close()
+
+    // Test 4: Exclusive operations in parallel mode
+    console.log('\n🔬 Test 4: exec() waits for running operations, later runs do not wait for it')
+    db = openDatabase()
+    log = []
+    db.run("INSERT INTO t VALUES ('a')", () => log.push('a'))
+    db.exec("INSERT INTO t VALUES ('e')", () => log.push('e'))
+    db.run("INSERT INTO t VALUES ('b')", () => log.push('b'))
+    rows = await drain(db)
+    expectOrder(log, ['a', 'b', 'e'], 'Parallel callback order')
+    expectOrder([rows], ['a,b,e'], 'Parallel row order')
+    db.close()
+
+    // Test 5: Nested blocks restore the previous mode
+    console.log('\n🔬 Test 5: Nested serialize()/parallelize() blocks')
+    db = openDatabase()
+    log = []
+    db.serialize(() => {
+      db.parallelize(() => {
+        db.run("INSERT INTO t VALUES ('a')", () => log.push('a'))
+        db.exec("INSERT INTO t VALUES ('e')", () => log.push('e'))
+        db.run("INSERT INTO t VALUES ('b')", () => log.push('b'))
+      })
+      // Back in serialized mode: queued behind everything before it
+      db.run("INSERT INTO t VALUES ('c')", () => log.push('c'))
+    })
+    await drain(db)
+    expectOrder(log, ['a', 'b', 'e', 'c'], 'Nested blocks')
+
+    // After the block the database is back in parallel mode
+    log = []
+    db.run("INSERT INTO t VALUES ('f')", () => log.push('f'))
+    db.exec("INSERT INTO t VALUES ('g')", () => log.push('g'))
+    db.run("INSERT INTO t VALUES ('h')", () => log.push('h'))
+    await drain(db)
+    expectOrder(log, ['f', 'h', 'g'], 'Parallel mode restored')
+    db.close()
+
+    // Test 6: serialize() without a callback persists until parallelize()
+    console.log('\n🔬 Test 6: Persistent serialized mode')
+    db = openDatabase()
+    log = []
+    db.serialize()
+    db.run("INSERT INTO t VALUES ('a')", () => log.push('a'))
+    db.exec("INSERT INTO t VALUES ('e')", () => log.push('e'))
+    db.run("INSERT INTO t VALUES ('b')", () => log.push('b'))
+    await drain(db)
+    expectOrder(log, ['a', 'e', 'b'], 'Serialized until parallelize()')
+    db.parallelize()
+    log = []
+    db.run("INSERT INTO t VALUES ('f')", () => log.push('f'))
+    db.exec("INSERT INTO t VALUES ('g')", () => log.push('g'))
+    db.run("INSERT INTO t VALUES ('h')", () => log.push('h'))
+    await drain(db)
+    expectOrder(log, ['f', 'h', 'g'], 'Parallel after parallelize()')
+    db.close()
+
+    // Test 7: Statements share the queue and report prepare errors
+    console.log('\n🔬 Test 7: Prepared statements in serialized mode')
+    db = openDatabase()
+    log = []
+    db.serialize(() => {
+      db.run('CREATE TABLE later (v TEXT)', () => log.push('create'))
+      // Prepared after the table exists, even though prepare() returns immediately
+      const stmt = db.prepare('INSERT INTO later VALUES (?)', (err) => log.push(err ? err.message : 'prepared'))
+      stmt.run('x', () => log.push('insert'))
+      stmt.finalize(() => log.push('finalized'))
+      const broken = db.prepare('SELECT * FROM missing', (err) => log.push(err.code))
+      broken.get((err) => log.push(`get ${err.code}`))
+    })
+    await drain(db)
+    expectOrder(
+      log,
+      ['create', 'prepared', 'insert', 'finalized', 'SQLITE_ERROR', 'get SQLITE_ERROR'],
+      'Statement order'
+    )
+    db.close()
+
+    // Test 8: Each statement has its own queue
+    console.log('\n🔬 Test 8: Statement operations wait for each() to deliver its rows')
+    db = openDatabase()
+    db.exec("INSERT INTO t VALUES ('a'), ('b'), ('c')")
+    log = []
+    const stmt = db.prepare('SELECT v FROM t ORDER BY rowid')
+    stmt.each((err, row) => log.push(err ? err.message : row.v), (err, count) => log.push(err ? err.message : `done ${count}`))
+    stmt.get((err, row) => log.push(err ? err.message : `get ${row.v}`))
+    stmt.finalize((err) => log.push(err ? err.message : 'finalized'))
+    await drain(db)
+    expectOrder(log, ['a', 'b', 'c', 'done 3', 'get a', 'finalized'], 'each() then get() and finalize()')
+    db.close()
+
+    console.log('\n✨ All serialize/parallelize tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  }
+}
+
+runTests()
@@ -0,0 +1,150 @@
+// Test script for in-memory snapshots in knex-bun-sqlite
+// This verifies serializeToBuffer() and restoring Database / Knex connections from buffers
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing In-Memory Snapshots in knex-bun-sqlite\n')
+
+const walPath = path.join(__dirname, 'test-snapshots.db')
+
+function cleanup() {
+  for (const file of [walPath, `${walPath}-wal`, `${walPath}-shm`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+  }
+}
+
+function fromSnapshot(snapshot) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename: snapshot },
+    useNullAsDefault: true
+  })
+}
+
+async function runTests() {
+  cleanup()
+
+  const seed = knex({
+    client: BunSqliteClient,
+    connection: { filename: ':memory:' },
+    useNullAsDefault: true
+  })
+
+  try {
+    // Seed once
+    await seed.schema.createTable('users', (table) => {
+      table.increments('id').primary()
+      table.string('name')
+    })
+    await seed('users').insert([{ name: 'Alice' }, { name: 'Bob' }, { name: 'Carol' }])
+    console.log('✅ Seeded database with 3 users')
+
+    // Test 1: serializeToBuffer()
+    console.log('\n🔬 Test 1: Serializing a database to a buffer')
+    const connection = await seed.client.acquireConnection()
+    const snapshot = connection.serializeToBuffer()
+    await seed.client.releaseConnection(connection)
+    if (!(snapshot instanceof Uint8Array) || snapshot.length === 0) {
+      throw new Error('serializeToBuffer() did not return a Uint8Array')
+    }
+    console.log(`✅ Snapshot is ${snapshot.length} bytes`)
+
+    // Test 2: Each restore is an isolated copy
+    console.log('\n🔬 Test 2: Restoring the snapshot per test')
+    for (const name of ['Dave', 'Eve']) {
+      const db = fromSnapshot(snapshot)
+      try {
+        await db('users').insert({ name })
+        const names = await db('users').orderBy('id').pluck('name')
+        if (names.join() !== `Alice,Bob,Carol,${name}`) {
+          throw new Error(`Restored copy leaked writes: ${names.join()}`)
+        }
+      } finally {
+        await db.destroy()
+      }
+    }
+    const seedCount = await seed('users').count('* as count').first()
+    if (seedCount.count !== 3) {
+      throw new Error(`Seed database was modified: ${seedCount.count} users`)
+    }
+    console.log('✅ Writes to restored copies stay in those copies')
+
+    // Test 3: Restoring is cheap
+    console.log('\n🔬 Test 3: Restore timing')
+    const iterations = 200
+    const start = performance.now()
+    for (let i = 0; i < iterations; i++) {
+      new Database(snapshot).close()
+    }
+    const perRestore = (performance.now() - start) / iterations
+    console.log(`✅ ${(perRestore * 1000).toFixed(0)}µs per restore`)
+
+    // Test 4: Read-only restores
+    console.log('\n🔬 Test 4: Read-only restore')
+    const readonly = new Database(snapshot, Database.OPEN_READONLY)
+    if (readonly.get('SELECT COUNT(*) AS count FROM users').count !== 3) {
+      throw new Error('Read-only copy is missing rows')
+    }
+    try {
+      readonly.run("INSERT INTO users (name) VALUES ('Mallory')")
+      throw new Error('Expected the read-only copy to reject writes')
+    } catch (err) {
+      if (err.code !== 'SQLITE_READONLY') throw err
+      console.log(`✅ Rejected write: ${err.message}`)
+    } finally {
+      readonly.close()
+    }
+
+    // Test 5: Snapshots of WAL-mode file databases
+    console.log('\n🔬 Test 5: Snapshot of a WAL database')
+    const file = new Database(walPath)
+    file.exec("PRAGMA journal_mode = WAL; CREATE TABLE notes (body TEXT); INSERT INTO notes VALUES ('kept')")
+    const walSnapshot = file.serializeToBuffer()
+    file.close()
+    const header = Array.from(walSnapshot.subarray(18, 20)).join()
+    if (header !== '2,2') {
+      throw new Error(`Expected a WAL header in the snapshot, got ${header}`)
+    }
+    const restored = new Database(walSnapshot)
+    restored.run("INSERT INTO notes VALUES ('added')")
+    const notes = restored.all('SELECT body FROM notes').map((row) => row.body)
+    restored.close()
+    if (notes.join() !== 'kept,added') {
+      throw new Error(`Unexpected rows in restored WAL snapshot: ${notes.join()}`)
+    }
+    if (Array.from(walSnapshot.subarray(18, 20)).join() !== header) {
+      throw new Error('Restoring modified the caller\'s snapshot buffer')
+    }
+    console.log('✅ WAL snapshot restored in memory without touching disk')
+
+    // Test 6: Unknown schemas
+    console.log('\n🔬 Test 6: Serializing an unknown schema')
+    const plain = new Database(':memory:')
+    try {
+      plain.serializeToBuffer('missing')
+      throw new Error('Expected an unknown schema to fail')
+    } catch (err) {
+      if (!/Unknown schema "missing"/.test(err.message)) throw err
+      console.log(`✅ Rejected: ${err.message}`)
+    } finally {
+      plain.close()
+    }
+
+    console.log('\n✨ All snapshot tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    await seed.destroy()
+    cleanup()
+  }
+}
+
+runTests()
@@ -0,0 +1,115 @@
+// Test script for the prepared statement cache in knex-bun-sqlite
+// This verifies LRU reuse, hit/miss counters and invalidation on schema changes
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+
+console.log('🧪 Testing Prepared Statement Cache in knex-bun-sqlite\n')
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`)
+  }
+  console.log(`✅ ${message}: ${actual}`)
+}
+
+async function runTests() {
+  const db = knex({
+    client: BunSqliteClient,
+    connection: {
+      filename: ':memory:',
+      statementCacheSize: 2
+    },
+    useNullAsDefault: true
+  })
+
+  try {
+    // Test 1: Repeated queries hit the cache
+    console.log('🔬 Test 1: Repeated queries reuse prepared statements')
+    const adapter = new Database(':memory:', null, { statementCacheSize: 2 })
+    adapter.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)')
+    adapter.run('INSERT INTO items (name) VALUES (?)', ['a'])
+    adapter.run('INSERT INTO items (name) VALUES (?)', ['b'])
+    adapter.run('INSERT INTO items (name) VALUES (?)', ['c'])
+    let stats = adapter.getStatementCacheStats()
+    assertEqual(stats.misses, 1, 'Misses after three identical inserts')
+    assertEqual(stats.hits, 2, 'Hits after three identical inserts')
+
+    // Test 2: Least recently used statement is evicted
+    console.log('\n🔬 Test 2: LRU eviction')
+    adapter.all('SELECT * FROM items')
+    adapter.get('SELECT * FROM items WHERE id = ?', [1])
+    stats = adapter.getStatementCacheStats()
+    assertEqual(stats.size, 2, 'Cache size capped at capacity')
+    assertEqual(stats.evictions, 1, 'Evictions')
+    adapter.run('INSERT INTO items (name) VALUES (?)', ['d'])
+    assertEqual(adapter.getStatementCacheStats().misses, 4, 'Evicted insert is prepared again')
+
+    // Test 3: Schema changes invalidate the cache
+    console.log('\n🔬 Test 3: DDL clears cached statements')
+    adapter.all('SELECT * FROM items')
+    adapter.exec('ALTER TABLE items ADD COLUMN price REAL')
+    assertEqual(adapter.getStatementCacheStats().size, 0, 'Cache size after exec DDL')
+    const row = adapter.get('SELECT * FROM items WHERE id = ?', [1])
+    if (!('price' in row)) {
+      throw new Error('SELECT * did not pick up the new column')
+    }
+    console.log('✅ SELECT * sees the new column')
+    adapter.run('CREATE INDEX items_name ON items (name)')
+    assertEqual(adapter.getStatementCacheStats().size, 0, 'Cache size after run DDL')
+
+    // Test 4: Closing the connection empties the cache
+    console.log('\n🔬 Test 4: close() finalizes cached statements')
+    adapter.all('SELECT * FROM items')
+    adapter.close()
+    assertEqual(adapter.getStatementCacheStats().size, 0, 'Cache size after close')
+
+    // Test 5: A cache size of 0 disables caching
+    console.log('\n🔬 Test 5: statementCacheSize 0 disables the cache')
+    const uncached = new Database(':memory:', null, { statementCacheSize: 0 })
+    uncached.all('SELECT 1')
+    uncached.all('SELECT 1')
+    stats = uncached.getStatementCacheStats()
+    assertEqual(stats.size + stats.hits + stats.misses, 0, 'Cache activity with size 0')
+    uncached.close()
+
+    // Test 6: Knex queries use the cache and expose counters on the client
+    console.log('\n🔬 Test 6: Knex client statistics')
+    await db.schema.createTable('users', (table) => {
+      table.increments('id').primary()
+      table.string('name')
+    })
+    for (const name of ['Alice', 'Bob', 'Carol']) {
+      await db('users').insert({ name })
+    }
+    for (let i = 0; i < 3; i++) {
+      await db('users').where('id', 1).first()
+    }
+    stats = db.client.getStatementCacheStats()
+    assertEqual(stats.connections, 1, 'Open connections')
+    if (stats.hits < 4) {
+      throw new Error(`Expected at least 4 cache hits, got ${stats.hits}`)
+    }
+    console.log(`✅ Knex cache hits: ${stats.hits}, misses: ${stats.misses}`)
+
+    // Knex sends schema changes and raw SQL through all(), which must drop
+    // the cache too and never cache the DDL itself
+    await db.schema.dropTable('users')
+    assertEqual(db.client.getStatementCacheStats().size, 0, 'Cached statements after knex.schema.dropTable()')
+    await db.raw('SELECT 1')
+    await db.raw('CREATE TABLE later (a)')
+    assertEqual(db.client.getStatementCacheStats().size, 0, "Cached statements after knex.raw('CREATE TABLE ...')")
+
+    console.log('\n✨ All statement cache tests passed! ✨\n')
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    await db.destroy()
+  }
+}
+
+runTests()
@@ -0,0 +1,131 @@
+// Test script for prepared statement bindings in knex-bun-sqlite
+// This verifies node-sqlite3's Statement semantics: parameter forms, bind(), reset() and the get() cursor
+
+const { Database } = require('../index.js')
+
+console.log('🧪 Testing Prepared Statement Bindings in knex-bun-sqlite\n')
+
+function call(target, method, ...args) {
+  return new Promise((resolve, reject) => {
+    target[method](...args, function (err, result) {
+      if (err) return reject(err)
+      resolve(method === 'run' ? this : result)
+    })
+  })
+}
+
+function expectEqual(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+  }
+  console.log(`✅ ${message}`)
+}
+
+async function runTests() {
+  const db = new Database(':memory:')
+  db.exec(`
+    CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT, created_at INTEGER, data BLOB);
+    INSERT INTO items (name) VALUES ('a'), ('b'), ('c');
+  `)
+
+  try {
+    // Test 1: Parameter forms
+    console.log('🔬 Test 1: Positional, numbered and named parameters')
+    const select = 'SELECT ? AS a, ? AS b'
+    expectEqual(await call(db.prepare(select), 'get', 1, 2), { a: 1, b: 2 }, 'Positional arguments')
+    expectEqual(await call(db.prepare(select), 'get', [1, 2]), { a: 1, b: 2 }, 'Positional array')
+    expectEqual(await call(db.prepare(select), 'get', { 1: 'x', 2: 'y' }), { a: 'x', b: 'y' }, 'Index object')
+    expectEqual(
+      await call(db.prepare('SELECT ?2 AS a, ?1 AS b, ?2 AS c'), 'get', 'one', 'two'),
+      { a: 'two', b: 'one', c: 'two' },
+      'Numbered ?NNN parameters'
+    )
+    expectEqual(
+      await call(db.prepare('SELECT $a AS a, :b AS b, @c AS c'), 'get', { $a: 1, ':b': 2, '@c': 3 }),
+      { a: 1, b: 2, c: 3 },
+      'Named $, : and @ parameters'
+    )
+    expectEqual(
+      await call(db.prepare('SELECT $a AS a, $b AS b'), 'get', { $a: 1 }),
+      { a: 1, b: null },
+      'Missing named parameters are NULL'
+    )
+    expectEqual(await call(db.prepare(select), 'get', 1), { a: 1, b: null }, 'Missing positional parameters are NULL')
+    try {
+      await call(db.prepare(select), 'get', 1, 2, 3)
+      throw new Error('Expected extra parameters to fail')
+    } catch (err) {
+      if (err.code !== 'SQLITE_RANGE') throw err
+      console.log(`✅ Extra parameters rejected: ${err.message}`)
+    }
+
+    // Test 2: Normalization in every binding path
+    console.log('\n🔬 Test 2: Dates, Buffers and undefined')
+    const date = new Date('2024-01-02T03:04:05.000Z')
+    const insert = db.prepare('INSERT INTO items (name, created_at, data) VALUES ($name, $created, $data)')
+    await call(insert, 'run', { $name: undefined, $created: date, $data: Buffer.from('named') })
+    await call(insert.bind({ $name: 'bound', $created: date, $data: Buffer.from('bound') }), 'run')
+    const positional = db.prepare('INSERT INTO items (name, created_at, data) VALUES (?, ?, ?)', ['prepared', date, Buffer.from('prepared')])
+    await call(positional, 'run')
+    const rows = await call(db, 'all', 'SELECT name, created_at, data FROM items WHERE id > 3 ORDER BY id')
+    expectEqual(
+      rows.map((row) => [row.name, row.created_at, Buffer.from(row.data).toString()]),
+      [[null, date.getTime(), 'named'], ['bound', date.getTime(), 'bound'], ['prepared', date.getTime(), 'prepared']],
+      'Values normalized for run(), bind() and prepare() parameters'
+    )
+    expectEqual(
+      await call(db, 'get', 'SELECT $when AS value', { $when: date }),
+      { value: date.getTime() },
+      'Named parameters normalized on Database methods'
+    )
+
+    // Test 3: Bind once, execute many
+    console.log('\n🔬 Test 3: Bindings persist across executions')
+    const byName = db.prepare('SELECT id FROM items WHERE name = ?')
+    byName.bind('b')
+    expectEqual(await call(byName, 'get'), { id: 2 }, 'get() uses bound parameters')
+    expectEqual(await call(byName, 'all'), [{ id: 2 }], 'all() uses bound parameters')
+    expectEqual(await call(byName, 'get', 'c'), { id: 3 }, 'Parameters passed to get() replace the bindings')
+    expectEqual(await call(byName, 'all'), [{ id: 3 }], 'Replaced bindings persist')
+    const counter = db.prepare('INSERT INTO items (name) VALUES (?)', 'repeat')
+    for (let i = 0; i < 3; i++) {
+      await call(counter, 'run')
+    }
+    expectEqual(
+      await call(db, 'get', "SELECT COUNT(*) AS count FROM items WHERE name = 'repeat'"),
+      { count: 3 },
+      'run() repeats with the parameters given to prepare()'
+    )
+    const eachRows = []
+    await new Promise((resolve, reject) => {
+      byName.each((err, row) => eachRows.push(row), (err) => (err ? reject(err) : resolve()))
+    })
+    expectEqual(eachRows, [{ id: 3 }], 'each() uses bound parameters')
+
+    // Test 4: get() steps through rows until reset()
+    console.log('\n🔬 Test 4: get() cursor and reset()')
+    const cursor = db.prepare('SELECT name FROM items WHERE id <= ? ORDER BY id', 3)
+    const stepped = []
+    for (let i = 0; i < 4; i++) {
+      const row = await call(cursor, 'get')
+      stepped.push(row ? row.name : undefined)
+    }
+    expectEqual(stepped, ['a', 'b', 'c', undefined], 'Consecutive get() calls return the next row')
+    expectEqual(await call(cursor, 'get'), undefined, 'get() stays at the end')
+    await call(cursor, 'reset')
+    expectEqual(await call(cursor, 'get'), { name: 'a' }, 'reset() rewinds to the first row')
+    expectEqual(await call(cursor, 'get'), { name: 'b' }, 'The cursor continues after reset()')
+    expectEqual(await call(cursor, 'get', 2), { name: 'a' }, 'New parameters rewind the cursor')
+    await call(cursor, 'finalize')
+
+    console.log('\n✨ All prepared statement tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    db.close()
+  }
+}
+
+runTests()
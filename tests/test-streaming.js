@@ -0,0 +1,134 @@
+// Test script for row-by-row streaming in knex-bun-sqlite
+// This verifies that each() and Knex .stream() never buffer the whole result set
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { Database } = BunSqliteClient
+
+console.log('🧪 Testing Streaming in knex-bun-sqlite\n')
+
+const ROW_COUNT = 10000
+
+// Count rows pulled from bun:sqlite so we can tell streaming from buffering
+let rowsPulled = 0
+const originalIterate = Database.prototype.iterate
+Database.prototype.iterate = function* (sql, params) {
+  for (const row of originalIterate.call(this, sql, params)) {
+    rowsPulled++
+    yield row
+  }
+}
+
+const db = knex({
+  client: BunSqliteClient,
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+async function runTests() {
+  try {
+    await db.schema.createTable('numbers', (table) => {
+      table.integer('n')
+    })
+    await db.raw(
+      `WITH RECURSIVE seq(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < ${ROW_COUNT})
+       INSERT INTO numbers (n) SELECT n FROM seq`
+    )
+    console.log(`✅ Inserted ${ROW_COUNT} rows`)
+
+    // Test 1: Database.each delivers rows before the result set is exhausted
+    console.log('\n🔬 Test 1: Database.each iterates row by row')
+    const adapter = new Database(':memory:')
+    adapter.exec('CREATE TABLE t (n INTEGER); INSERT INTO t VALUES (1), (2), (3)')
+    rowsPulled = 0
+    const pulledAtRow = []
+    // Like sqlite3, each() delivers its callbacks asynchronously
+    const completed = await new Promise((resolve, reject) => {
+      adapter.each('SELECT n FROM t ORDER BY n', (err, row) => {
+        if (err) throw err
+        pulledAtRow.push(rowsPulled)
+      }, (err, count) => {
+        if (err) return reject(err)
+        resolve(count)
+      })
+    })
+    if (pulledAtRow.join(',') !== '1,2,3' || completed !== 3) {
+      throw new Error(`Rows were not delivered one at a time: ${pulledAtRow.join(',')}`)
+    }
+    console.log('✅ Each row callback fired as soon as its row was read')
+
+    // Test 2: Nested queries inside each() do not disturb the iteration
+    console.log('\n🔬 Test 2: Queries inside each() callbacks')
+    const seen = []
+    await new Promise((resolve) => {
+      adapter.each('SELECT n FROM t ORDER BY n', (err, row) => {
+        seen.push(row.n)
+        adapter.get('SELECT n FROM t ORDER BY n')
+      }, resolve)
+    })
+    if (seen.join(',') !== '1,2,3') {
+      throw new Error(`Nested query disturbed iteration: ${seen.join(',')}`)
+    }
+    console.log('✅ Outer iteration unaffected by nested queries')
+    adapter.close()
+
+    // Test 3: Knex .stream() respects backpressure
+    console.log('\n🔬 Test 3: Knex stream backpressure')
+    rowsPulled = 0
+    const stream = db('numbers').select('n').orderBy('n').stream({ highWaterMark: 4 })
+    const firstRows = []
+    for await (const row of stream) {
+      firstRows.push(row.n)
+      if (firstRows.length === 10) break
+    }
+    console.log(`✅ Read ${firstRows.length} rows, pulled ${rowsPulled} from SQLite`)
+    if (rowsPulled >= 100) {
+      throw new Error(`Stream buffered ${rowsPulled} rows for 10 consumed`)
+    }
+
+    // Test 4: Cancelling the stream released the connection
+    console.log('\n🔬 Test 4: Connection released after cancelling')
+    const { count } = await db('numbers').count('* as count').first()
+    if (count !== ROW_COUNT) {
+      throw new Error(`Expected ${ROW_COUNT} rows, got ${count}`)
+    }
+    console.log('✅ Follow-up query ran on the released connection')
+
+    // Test 5: A full stream delivers every row
+    console.log('\n🔬 Test 5: Full stream')
+    let total = 0
+    for await (const row of db('numbers').select('n').stream()) {
+      total += row.n
+    }
+    const expected = (ROW_COUNT * (ROW_COUNT + 1)) / 2
+    if (total !== expected) {
+      throw new Error(`Expected sum ${expected}, got ${total}`)
+    }
+    console.log(`✅ Streamed all ${ROW_COUNT} rows`)
+
+    // Test 6: SQL errors surface on the stream
+    console.log('\n🔬 Test 6: Errors propagate through the stream')
+    try {
+      for await (const row of db('missing_table').select('*').stream()) {
+        throw new Error(`Unexpected row ${JSON.stringify(row)}`)
+      }
+      throw new Error('Expected the stream to fail')
+    } catch (err) {
+      if (!/no such table/.test(err.message)) throw err
+      console.log(`✅ Stream failed with: ${err.message}`)
+    }
+
+    console.log('\n✨ All streaming tests passed! ✨\n')
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    await db.destroy()
+  }
+}
+
+runTests()
@@ -0,0 +1,206 @@
+// Test script for tracing in knex-bun-sqlite
+// This verifies query and transaction spans with the in-memory and no-op tracers
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const { InMemoryTracer, NoopTracer } = BunSqliteClient
+
+console.log('🧪 Testing Tracing in knex-bun-sqlite\n')
+
+function openDatabase(tracer) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename: ':memory:', tracer },
+    useNullAsDefault: true
+  })
+}
+
+async function seed(db) {
+  await db.schema.createTable('users', (table) => {
+    table.increments('id').primary()
+    table.string('name').unique()
+  })
+  await db('users').insert([{ name: 'Alice' }, { name: 'Bob' }])
+}
+
+function findSpan(tracer, statement) {
+  const span = tracer.spans.find((candidate) => candidate.attributes['db.statement'] === statement)
+  if (!span) {
+    throw new Error(`No span for ${statement}:\n${tracer.spans.map((s) => s.attributes['db.statement']).join('\n')}`)
+  }
+  return span
+}
+
+async function runTests() {
+  try {
+    // Test 1: One span per query
+    console.log('🔬 Test 1: Query spans')
+    const tracer = new InMemoryTracer()
+    let db = openDatabase(tracer)
+    try {
+      await seed(db)
+      await db('users').where('name', 'Alice').update({ name: 'Alicia' })
+      await db('users').where('id', '>', 0)
+      await db('users').where('id', 2).del().returning('name')
+
+      const update = findSpan(tracer, 'update `users` set `name` = ? where `name` = ?')
+      const expected = {
+        'db.system': 'sqlite',
+        'db.name': ':memory:',
+        'db.operation': 'UPDATE',
+        'db.rows_affected': 1
+      }
+      for (const [key, value] of Object.entries(expected)) {
+        if (update.attributes[key] !== value) {
+          throw new Error(`Expected ${key}=${value}, got ${update.attributes[key]}`)
+        }
+      }
+      if (update.name !== 'UPDATE' || update.kind !== 2 || update.status.code !== 0 || !(update.duration >= 0)) {
+        throw new Error(`Unexpected update span: ${JSON.stringify(update)}`)
+      }
+      const select = findSpan(tracer, 'select * from `users` where `id` > ?')
+      if ('db.rows_affected' in select.attributes) {
+        throw new Error('Selects should not report affected rows')
+      }
+      const del = findSpan(tracer, 'delete from `users` where `id` = ? returning `name`')
+      if (del.attributes['db.rows_affected'] !== 1) {
+        throw new Error(`Expected returning delete to affect 1 row, got ${del.attributes['db.rows_affected']}`)
+      }
+      console.log(`✅ ${tracer.spans.length} query spans, update affected ${update.attributes['db.rows_affected']} row`)
+
+      // Failed queries record the error
+      try {
+        await db('users').insert({ name: 'Alicia' })
+      } catch (err) {
+        // expected
+      }
+      const failed = tracer.spans[tracer.spans.length - 1]
+      if (failed.status.code !== 2 || failed.events[0].attributes['exception.type'] !== 'SQLITE_CONSTRAINT') {
+        throw new Error(`Expected an error span, got ${JSON.stringify(failed.status)}`)
+      }
+      console.log(`✅ Failed query span: ${failed.status.message}`)
+
+      // Streams are traced too
+      tracer.reset()
+      await new Promise((resolve, reject) => {
+        const stream = db('users').select('name').stream()
+        stream.on('data', () => {})
+        stream.on('end', resolve)
+        stream.on('error', reject)
+      })
+      await new Promise((resolve) => setImmediate(resolve))
+      findSpan(tracer, 'select `name` from `users`')
+      console.log('✅ Streamed query traced')
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 2: Transaction spans are the parents of their queries
+    console.log('\n🔬 Test 2: Transaction spans')
+    tracer.reset()
+    db = openDatabase(tracer)
+    try {
+      await seed(db)
+      tracer.reset()
+      await db.transaction(async (trx) => {
+        await trx('users').insert({ name: 'Carol' })
+        await trx.transaction(async (nested) => {
+          await nested('users').insert({ name: 'Dave' })
+        })
+      })
+      try {
+        await db.transaction(async (trx) => {
+          await trx('users').insert({ name: 'Eve' })
+          throw new Error('abort')
+        })
+      } catch (err) {
+        if (err.message !== 'abort') throw err
+      }
+
+      const transactions = tracer.spans.filter((span) => span.name === 'TRANSACTION')
+      if (transactions.length !== 3) {
+        throw new Error(`Expected 3 transaction spans, got ${transactions.length}`)
+      }
+      const [nested, outer, aborted] = transactions
+      if (!nested.attributes['db.transaction.nested'] || nested.parentId !== outer.id || outer.parentId !== null) {
+        throw new Error('Savepoint span should be a child of its transaction')
+      }
+      const carol = tracer.spans.find((span) => span.name === 'INSERT' && span.parentId === outer.id)
+      const dave = tracer.spans.find((span) => span.name === 'INSERT' && span.parentId === nested.id)
+      const begin = tracer.spans.find((span) => span.name === 'BEGIN' && span.parentId === outer.id)
+      if (!carol || !dave || !begin) {
+        throw new Error('Queries should be children of their transaction spans')
+      }
+      if (outer.status.code !== 0 || aborted.status.code !== 2 || aborted.status.message !== 'abort') {
+        throw new Error(`Unexpected transaction statuses: ${outer.status.code}, ${aborted.status.code}`)
+      }
+      const rollback = tracer.spans.find((span) => span.name === 'ROLLBACK')
+      if (!rollback || rollback.parentId !== aborted.id) {
+        throw new Error('Expected the rollback inside the failed transaction span')
+      }
+      console.log('✅ BEGIN, queries, savepoints and ROLLBACK nest under their transaction')
+
+      // Spans outside any transaction have no parent
+      tracer.reset()
+      await db('users').count('* as count')
+      if (tracer.spans[0].parentId !== null) {
+        throw new Error('Query outside a transaction should have no parent')
+      }
+      console.log('✅ Queries outside transactions are root spans')
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 3: The default no-op tracer, and custom tracers
+    console.log('\n🔬 Test 3: No-op and custom tracers')
+    for (const candidate of [undefined, new NoopTracer()]) {
+      db = openDatabase(candidate)
+      try {
+        await seed(db)
+        await db.transaction((trx) => trx('users').insert({ name: 'Carol' }))
+      } finally {
+        await db.destroy()
+      }
+    }
+    console.log('✅ Queries and transactions run without a tracer')
+
+    const names = []
+    const minimal = {
+      startSpan(name, options) {
+        return {
+          setAttribute() {},
+          setStatus() {},
+          recordException() {},
+          end() {
+            names.push(`${name} ${options.attributes['db.name']}`)
+          }
+        }
+      },
+      startActiveSpan(name, options, fn) {
+        return fn(this.startSpan(name, options))
+      }
+    }
+    db = knex({
+      client: BunSqliteClient,
+      connection: { filename: ':memory:', tracer: minimal },
+      useNullAsDefault: true
+    })
+    try {
+      await db.raw('SELECT 1')
+    } finally {
+      await db.destroy()
+    }
+    if (names.join() !== 'SELECT :memory:') {
+      throw new Error(`Unexpected spans from a custom tracer: ${names.join()}`)
+    }
+    console.log(`✅ Custom tracer received ${names.join()}`)
+
+    console.log('\n✨ All tracing tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  }
+}
+
+runTests()
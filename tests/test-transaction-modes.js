@@ -0,0 +1,150 @@
+// Test script for transaction modes in knex-bun-sqlite
+// This verifies BEGIN DEFERRED / IMMEDIATE / EXCLUSIVE and that immediate
+// transactions keep concurrent writers from deadlocking
+
+const knex = require('knex')
+const BunSqliteClient = require('../index.js')
+const fs = require('fs')
+const path = require('path')
+
+console.log('🧪 Testing Transaction Modes in knex-bun-sqlite\n')
+
+const dbPath = path.join(__dirname, 'test-transaction-modes.db')
+
+function cleanup() {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) {
+      fs.unlinkSync(dbPath + suffix)
+    }
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function openDatabase(connection, log) {
+  return knex({
+    client: BunSqliteClient,
+    connection: { filename: dbPath, pragmas: { journal_mode: 'WAL' }, ...connection },
+    log,
+    useNullAsDefault: true
+  })
+}
+
+// Collect the BEGIN and SAVEPOINT statements a client issues
+function recordBegins(db) {
+  const begins = []
+  db.on('query', ({ sql }) => {
+    if (/^(BEGIN|SAVEPOINT)/.test(sql)) begins.push(sql)
+  })
+  return begins
+}
+
+// Read, yield to the other worker, then write: the pattern that deadlocks
+// deferred transactions
+function readThenWrite(db, worker, config) {
+  return db.transaction(async (trx) => {
+    const { count } = await trx('jobs').count('* as count').first()
+    await sleep(20)
+    await trx('jobs').insert({ worker, seen: count })
+  }, config)
+}
+
+async function runTests() {
+  cleanup()
+
+  try {
+    // Test 1: The BEGIN statement for each mode
+    console.log('🔬 Test 1: BEGIN statements')
+    const warnings = []
+    let db = openDatabase({}, { warn: (message) => warnings.push(message) })
+    try {
+      await db.schema.createTable('jobs', (table) => {
+        table.increments('id').primary()
+        table.string('worker')
+        table.integer('seen')
+      })
+      const begins = recordBegins(db)
+      await db.transaction(async () => {})
+      for (const mode of ['deferred', 'immediate', 'exclusive']) {
+        await db.transaction(async () => {}, { mode })
+      }
+      await db.transaction(async (trx) => {
+        await trx.transaction(async () => {}, { mode: 'exclusive' })
+      }, { mode: 'immediate' })
+      const expected = ['BEGIN;', 'BEGIN DEFERRED;', 'BEGIN IMMEDIATE;', 'BEGIN EXCLUSIVE;', 'BEGIN IMMEDIATE;']
+      if (begins.slice(0, 5).join() !== expected.join() || !begins[5].startsWith('SAVEPOINT')) {
+        throw new Error(`Unexpected statements: ${begins.join(' | ')}`)
+      }
+      if (!warnings.some((message) => message.includes('ignoring the transaction mode'))) {
+        throw new Error('Expected a warning for the nested transaction mode')
+      }
+      console.log(`✅ ${begins.join(' | ')}`)
+
+      try {
+        await db.transaction(async () => {}, { mode: 'eventually' })
+        throw new Error('Expected an unknown mode to be rejected')
+      } catch (err) {
+        if (!/Unknown transaction mode "eventually"/.test(err.message)) throw err
+        console.log(`✅ Rejected: ${err.message}`)
+      }
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 2: Per-client default and override
+    console.log('\n🔬 Test 2: connection.transactionMode')
+    db = openDatabase({ transactionMode: 'immediate' })
+    try {
+      const begins = recordBegins(db)
+      await db.transaction(async (trx) => {
+        await trx('jobs').insert({ worker: 'default', seen: 0 })
+      })
+      await db.transaction(async () => {}, { mode: 'deferred' })
+      const trx = await db.transaction()
+      await trx.commit()
+      if (begins.join() !== 'BEGIN IMMEDIATE;,BEGIN DEFERRED;,BEGIN IMMEDIATE;') {
+        throw new Error(`Unexpected statements: ${begins.join(' | ')}`)
+      }
+      console.log(`✅ ${begins.join(' | ')}`)
+    } finally {
+      await db.destroy()
+    }
+
+    // Test 3: Concurrent writers
+    console.log('\n🔬 Test 3: Concurrent read-then-write transactions')
+    const busyRetry = { maxAttempts: 20, initialDelay: 5, maxDelay: 50 }
+    const workers = [openDatabase({ busyRetry }), openDatabase({ busyRetry })]
+    try {
+      const deferred = await Promise.allSettled(workers.map((worker, i) => readThenWrite(worker, `deferred${i}`)))
+      const failed = deferred.filter((outcome) => outcome.status === 'rejected')
+      if (failed.length !== 1 || failed[0].reason.code !== 'SQLITE_BUSY') {
+        throw new Error(`Expected one deferred transaction to fail, got ${deferred.map((o) => o.status).join()}`)
+      }
+      console.log(`✅ Deferred: one writer failed with ${failed[0].reason.extendedCode}`)
+
+      const immediate = await Promise.allSettled(
+        workers.map((worker, i) => readThenWrite(worker, `immediate${i}`, { mode: 'immediate' }))
+      )
+      const rejected = immediate.find((outcome) => outcome.status === 'rejected')
+      if (rejected) throw rejected.reason
+      const rows = await workers[0]('jobs').where('worker', 'like', 'immediate%').orderBy('id')
+      if (rows.length !== 2 || rows[1].seen !== rows[0].seen + 1) {
+        throw new Error(`Expected the second writer to see the first one's row: ${JSON.stringify(rows)}`)
+      }
+      const retried = workers.reduce((total, worker) => total + worker.client.getRetryStats().recovered, 0)
+      console.log(`✅ Immediate: both writers committed, ${retried} BEGIN waited its turn`)
+    } finally {
+      await Promise.all(workers.map((worker) => worker.destroy()))
+    }
+
+    console.log('\n✨ All transaction mode tests passed! ✨\n')
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    cleanup()
+  }
+}
+
+runTests()